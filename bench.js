@@ -0,0 +1,608 @@
+/*
+The bench command tests the Lea image compression program (or any codec in the registry) on all the images in
+the specified folder. It will perform the following:
+    1. Read the previous report if there is one (results.json). Images whose PPM and codec binaries haven't changed
+       since then are not benchmarked again with that codec, unless it is given with --force (or --force=0.4,0.5).
+       Timeouts are always tried again: they depend on --timeout and on how busy the machine was
+    2. Walk the folder received as a parameter, keeping the images that match --include and not --exclude. Symbolic
+       links are followed once, and hidden files and folders are skipped unless --hidden is given
+    3. Hash the files sharing their size with another one, and keep the first of every content. Hashes are kept in
+       scan-index.json, so the files that haven't changed since the last scan aren't hashed again
+    4. Keep the first --limit files or a random --sample of them, and link them into the testbed (img/) under the
+       sha256 of their content, hashing the ones step 3 didn't
+    5. For each file that is not already a PPM file, try to convert it to PPM using gm (GraphicsMagick).
+       Greyscale images become PGM files. Images with alpha, several frames or 16 bits per sample are handled
+       according to --alpha, --frames and --deep; images that can't be converted are kept in the report with the
+       reason in normalizeError, and aren't benchmarked. Images converted by an earlier run (with the same --deep)
+       aren't converted again, and the statistics of their PPM files are kept in ppm-index.json
+    6. With --variants, make lossless variants of every PPM file (rotations by 90, 180 and 270 degrees, horizontal
+       flip, RGB to BGR, greyscale expanded to PPM and crops to --tiles) in tmp/variants/, and benchmark them
+       alongside it as images of their own
+    7. For each vailid PPM file, compress it with every codec in the registry (codecs.json, or only the --codecs
+       selected), and calculate the time taken. A codec call running longer than --timeout seconds is killed
+    8. For each file, calculate the size of the compressed file and the ratio of the compressed file to the original file
+    9. For each compressed file, restore the original file with the same codec, and calculate the time taken
+    10. For each restored file, check if it is identical to the original file. If it isn't, find the first
+        differing byte and pixel, keep the files in the quarantine folder and exit with a non-zero code.
+        The verify command does only this: one untimed round trip per image and codec, and no report
+    11. Save everything in a report. It is an array of objects, each object containing the following:
+        - file name: its path relative to the folder
+        - its name in the testbed (img/): the sha256 of its content and its extension, so that files with the same
+          name in different folders don't collide. Temporary and quarantined files are named after the sha256 too
+        - original file size
+        - original file sha256
+        - PPM converted image size
+        - PPM converted image sha256
+        - width, height, channels and maxval of the PPM image
+        - pixel statistics of the PPM image: number of unique colours, entropy of every channel (bits per sample),
+          fraction of pixels equal to their left neighbour, and from it a guess of whether the image is
+          "synthetic" (screenshots, drawings) or "photographic"
+        - for variants: the variant ("rot90", "rot180", "rot270", "flip", "bgr", "grey-rgb" or "crop" and the tile
+          size, e.g. "crop256") and variantOf, the PPM sha256 of the image it comes from. Its other fields are
+          those of the image, but the PPM fields and the pixel statistics, which are the variant's
+        For each codec, keyed by its name on the registry:
+        - compressed file size
+        - ratio of compressed file size to original file size
+        - ratio of compressed file size to PPM file size
+        - bits per pixel of the compressed file
+        - time taken to compress the file, and compression speed in bytes/s
+        - time taken to decompress the file, and decompression speed in bytes/s
+          Times are in milliseconds: the fastest of the measured runs (see --runs and --warmup), as measured. Failed
+          runs are not counted. The median, mean, standard deviation and 95% confidence interval of the runs are
+          kept in cTimeStats and dTimeStats. cNetTime and dNetTime are the times without the startup overhead of the
+          codec (cOverhead and dOverhead: its fastest run on a 1x1 image), and the speeds are computed from them.
+          A time within the noise of the overhead has no net time and no speed, and cBelowNoise (or dBelowNoise)
+          is true: the image is too small for the codec's own work to be measured.
+        - time taken to compress and decompress the file
+        - peak memory (resident set size, in bytes), user and system CPU time (in milliseconds) and exit status of
+          the compression and of the decompression, from the kernel's accounting of the process (through GNU time,
+          on Linux; null elsewhere). Over the measured runs: the highest peak memory, the lowest CPU times, and the
+          exit status of the first run that failed (0 if none did, null with the signal if a signal killed it)
+        - what the codec wrote to stderr while compressing and decompressing, if anything (the end of it)
+        - is the restored file identical to the original file?
+        - status: "ok", or what went wrong, in failedStep ("compress", "decompress" or "round trip"):
+            "timeout"         the codec ran for longer than --timeout and was killed
+            "crash"           a signal (or on Windows, an exception) killed the codec
+            "non-zero exit"   the codec exited with an error code
+            "missing output"  the codec didn't write its output
+            "empty output"    the codec wrote an empty output
+            "mismatch"        the restored file isn't the original PPM (see mismatch)
+          An image that fails isn't tried any further with that codec, but the benchmark goes on with the other
+          images and codecs, and lists every failure at the end
+        For every codec but the first one (the baseline), the difference against the baseline in
+        compressed size, ratio, compression time, decompression time and round trip time
+        The object structure is as follows (with codecs "0.4" and "0.5"):
+            {
+                "filename": "holidays/filename.jpg",
+                "testbedFile": "a1b2c3...f9.jpg",
+                "originalSize": 12345,
+                "originalsha256": "1234567890",
+                "ppmSize": 123456,
+                "ppmsha256": "1234567899",
+                "width": 1234,
+                "height": 1234,
+                "channels": 3,
+                "maxval": 255,
+                "uniqueColours": 123456,
+                "uniqueColoursCapped": false,
+                "entropy": [7.1, 7.3, 6.9],
+                "neighbourRepeat": 0.05,
+                "kind": "photographic" or "synthetic",
+                "cSize0.4": 123456,
+                "cSize0.5": 123456,
+                "isIdentical0.4": ✓ or ✗,
+                "isIdentical0.5": ✓ or ✗,
+                "status0.4": "ok",
+                "status0.5": "timeout",
+                "failedStep0.5": "decompress" (only when the status isn't "ok"),
+                "cSizeDiff0.5": 123456 or -123456,
+                "cRatio0.4": 123456,
+                "cRatio0.5": 123456,
+                "cRatioPPM0.4": 123456,
+                "cRatioPPM0.5": 123456,
+                "bpp0.4": 12.3,
+                "bpp0.5": 12.3,
+                "cRatioDiff0.5": 123456 or -123456,
+                "cRatioPPMDiff0.5": 123456 or -123456,
+                "cTime0.4": 123456,
+                "cTime0.5": 123456,
+                "cTimeStats0.4": { "runs": 3, "failed": 0, "median": 123456, "mean": 123456, "stddev": 123, "ci95": [123456, 123456] },
+                "cOverhead0.4": 123,
+                "cNetTime0.4": 123333 (null when below the noise of the overhead),
+                "cBelowNoise0.4": false,
+                "cSpeed0.4": 123456,
+                "cSpeed0.5": 123456,
+                "cTimeDiff0.5": 123456 or -123456,
+                "dTime0.4": 123456,
+                "dTime0.5": 123456,
+                "dSpeed0.4": 123456,
+                "dSpeed0.5": 123456,
+                "dTimeDiff0.5": 123456 or -123456,
+                "roundTrip0.4": 123456,
+                "roundTrip0.5": 123456,
+                "roundTripDiff0.5": 123456 or -123456,
+                "cPeakRss0.4": 12345678,
+                "cUserTime0.4": 123,
+                "cSysTime0.4": 12,
+                "cExitCode0.4": 0,
+                "cSignal0.4": "SIGSEGV" (only when a signal killed the codec),
+                "dPeakRss0.4": 12345678, "dUserTime0.4": 123, "dSysTime0.4": 12, "dExitCode0.4": 0,
+                "cStderr0.5": "warning: ..." (only when the codec wrote something),
+                "dStderr0.5": "error: ..." (only when the codec wrote something),
+                "mismatch0.5": { "reason": "content differs", "offset": 1234, "x": 12, "y": 3, "channel": 1, ... } (only on failed round trips)
+            }
+    12. Summarize the whole corpus for every codec: total sizes, bits per pixel, geometric mean ratio, throughput
+        and the number of images where the codec compresses best of the codecs that restored the image correctly,
+        overall and broken down by original format, resolution, colour type and kind of image (synthetic or
+        photographic). Variants don't count in these; with
+        --variants, the summary also has the spread of the compressed sizes (in bits per pixel) across the variants
+    13. Save the report in a JSON file (results.json in the --out folder), as { "summary": {...}, "images": [...] }.
+        It is merged into the previous report: the images and codecs this run left out (--codecs, --limit, --include...)
+        keep their results, so a later run can still reuse them, and the summary covers all of them. Codecs are in
+        the order of the registry, so the baseline is the first codec of the registry the report has
+ */
+
+// Import the required modules
+const { getAllFiles, outputPaths } = require("./utils.js") // Traverse the folder and returns all the files recursively
+const { loadCodecs, selectCodecs, buildCommand, codecHash } = require("./codecs.js") // The codec registry
+const { describeMismatch, quarantine } = require("./verify.js") // Round trip checks
+const { variantNames, createVariants } = require("./variants.js") // Rotated, flipped, cropped... copies of the images
+const { cpuCount, createScheduler } = require("./scheduler.js") // Runs the jobs in parallel
+const { runCommand } = require("./runner.js") // Launches the codecs natively, under wine or through a prefix
+const { measure } = require("./timing.js") // Repeated, high resolution timing
+const { summarize } = require("./summary.js") // Totals for the whole corpus
+const { readReport } = require("./report.js")
+const { UsageError } = require("./cli.js")
+const fs = require("fs")
+const path = require("path")
+const progressBar = require('progress-barjs')
+const sha256File = require('sha256-file'); // https://www.npmjs.com/package/sha256-file
+
+
+// Fields stored for every codec, suffixed with the codec name
+const codecFields = ["codecHash", "cTime", "cTimeStats", "cOverhead", "cNetTime", "cBelowNoise", "cSpeed", "cSize", "cRatio", "cRatioPPM", "bpp",
+    "cPeakRss", "cUserTime", "cSysTime", "cExitCode", "cSignal", "cStderr",
+    "dTime", "dTimeStats", "dOverhead", "dNetTime", "dBelowNoise", "dSpeed", "dPeakRss", "dUserTime", "dSysTime", "dExitCode", "dSignal", "dStderr",
+    "roundTrip", "status", "failedStep", "isIdentical", "mismatch"]
+
+// Fields comparing every codec against the baseline (the first one on the registry)
+const diffFields = { cSizeDiff: "cSize", cRatioDiff: "cRatio", cRatioPPMDiff: "cRatioPPM",
+    cTimeDiff: "cTime", dTimeDiff: "dTime", roundTripDiff: "roundTrip" }
+
+// Read the previous report if there is one
+const readPreviousReport = reportFile => {
+    const empty = { images: [], codecs: [] }
+    if (!fs.existsSync(reportFile)) return empty
+    try {
+        return readReport(reportFile)
+    }
+    catch (err) {
+        console.warn(`Warning: couldn't read the previous report (${err.message}); benchmarking everything`)
+        return empty
+    }
+}
+
+// Merge the images of this run into the previous report. An image of this run replaces the previous entry with
+// the same PPM, or with the same file name (and variant): the file changed. When the PPM is the same, the results
+// of the codecs left out of this run are kept. Previous images this run left out are kept as they were.
+// Codecs are in the order of the registry; codecs that are no longer on it come last.
+const mergeReports = (previous, images, names, registryNames) => {
+    const codecs = [...new Set([...names, ...previous.codecs])].map((name, index) => [name, index])
+        .sort(([a, i], [b, j]) => (registryNames.includes(a) ? registryNames.indexOf(a) : Infinity) -
+            (registryNames.includes(b) ? registryNames.indexOf(b) : Infinity) || i - j)
+        .map(([name]) => name)
+    const kept = previous.codecs.filter(name => !names.includes(name))
+    const fileKey = entry => `${entry.filename}\n${entry.variant || ""}`
+    const byPPM = new Map(images.filter(entry => entry.ppmsha256).map(entry => [entry.ppmsha256, entry]))
+    const byFile = new Set(images.map(fileKey))
+    const previousByPPM = new Map(previous.images.filter(entry => entry.ppmsha256).map(entry => [entry.ppmsha256, entry]))
+
+    const merged = images.map(entry => {
+        const old = entry.ppmsha256 && previousByPPM.get(entry.ppmsha256)
+        if (!old) return entry
+        const carried = kept.flatMap(name => codecFields.map(field => field + name)).filter(field => old[field] !== undefined)
+        return { ...entry, ...Object.fromEntries(carried.map(field => [field, old[field]])) }
+    })
+    previous.images.filter(entry => !(entry.ppmsha256 && byPPM.has(entry.ppmsha256)) && !byFile.has(fileKey(entry)))
+        .forEach(entry => merged.push(entry))
+    return { images: merged, codecs }
+}
+
+// What went wrong with a codec call, or null if it worked and wrote its output
+const callStatus = (result, output) => {
+    if (result.timedOut) return "timeout"
+    if (result.crashed) return "crash"
+    if (!result.ok) return "non-zero exit"
+    if (!fs.existsSync(output)) return "missing output"
+    if (fs.statSync(output).size === 0) return "empty output"
+    return null
+}
+
+// Función auxiliar para ejecutar un codec sin bloquear, fijado a un núcleo, con su runner y un tiempo máximo
+// Devuelve si el comando terminó bien (status es null) o qué falló, y lo que escribió en stderr
+const runCodec = async (codec, operation, input, output, cpu, timeout) => {
+    fs.rmSync(output, { force: true }) // An output left by an earlier run must not pass for this one's
+    const command = buildCommand(codec, operation, input, output)
+    const result = await runCommand(command, { cwd: codec.cwd, cpu, env: codec.runner.env, timeout })
+    const status = callStatus(result, output)
+    if (status) console.warn(`Something went wrong (${status}) while running command ${command.join(" ")}`)
+    return { ...result, ok: !status, status }
+}
+
+// Store what the measured runs of a codec used, next to their time ("c" for compression, "d" for decompression):
+// the highest peak memory, the lowest CPU times (the least noisy, like the time), the exit status of the first
+// run that failed (0 if none did) and the last thing the codec wrote to stderr
+const storeUsage = (entry, operation, name, results) => {
+    const values = field => results.map(result => result[field]).filter(value => typeof value === "number")
+    const failed = results.find(result => !result.ok)
+    const stderr = results.map(result => result.stderr).filter(Boolean).pop()
+    entry[`${operation}PeakRss${name}`] = values("peakRss").length ? Math.max(...values("peakRss")) : null
+    entry[`${operation}UserTime${name}`] = values("userTime").length ? Math.min(...values("userTime")) : null
+    entry[`${operation}SysTime${name}`] = values("systemTime").length ? Math.min(...values("systemTime")) : null
+    entry[`${operation}ExitCode${name}`] = failed ? failed.exitCode : 0
+    if (failed && failed.signal) entry[`${operation}Signal${name}`] = failed.signal
+    if (stderr) entry[`${operation}Stderr${name}`] = stderr
+}
+
+// The time of a codec call without the startup overhead: its fastest run minus the fastest run on a 1x1 image.
+// A difference within the noise of the overhead (twice the standard deviation of its runs) can't be told from
+// zero, so it gives no net time, and the call is marked as below the noise.
+const netTime = (time, overhead) => {
+    if (time === null) return { netTime: null, belowNoise: false }
+    const net = time - overhead.min
+    return net > overhead.noise ? { netTime: net, belowNoise: false } : { netTime: null, belowNoise: true }
+}
+
+const makeBar = (label, total) => progressBar({
+    total,
+    label,
+    show: {
+        overwrite: true,
+        bar: {
+            length: 50,
+            completed: '—',
+            incompleted: '|',
+        },
+    },
+})
+
+// Where every codec keeps its compressed and restored files
+const codecFiles = (paths, codec) => {
+    const compressedFolder = path.join(paths.tmp, "codecs", codec.name)
+    const restoredFolder = path.join(paths.tmp, "restored", codec.name)
+    fs.mkdirSync(compressedFolder, { recursive: true })
+    fs.mkdirSync(restoredFolder, { recursive: true })
+    return {
+        compressedFile: file => path.join(compressedFolder, path.basename(file.ppmFile) + codec.extension),
+        restoredFile: file => path.join(restoredFolder, `${path.basename(file.ppmFile)}.restored`)
+    }
+}
+
+// The files of a failed codec call to keep in the quarantine folder. Variants of an image get a folder of their own.
+// Only the files of this run: what a failed step would have written may be left over from an earlier run.
+const failedFiles = (file, step, compressed, restored) => step === "compress" ? quarantined(file, null, null) :
+    step === "decompress" ? quarantined(file, compressed, null) : quarantined(file, compressed, restored)
+const quarantined = (file, compressed, restored) => ({ id: file.variant ? `${file.originalsha256}.${file.variant}` : file.originalsha256,
+    filename: file.variant ? `${file.filename} (${file.variant})` : file.filename, input: file.ppmFile, compressed, restored })
+
+// Check that the restored file is the very same PPM we compressed. If it isn't, find out where it differs and
+// keep the files in the quarantine folder. Returns the mismatch, or null if the round trip worked.
+const checkRoundTrip = (paths, codec, file, compressed, restored) => {
+    if (fs.existsSync(restored) && file.ppmsha256 === sha256File(restored)) return null
+    const mismatch = describeMismatch(file.ppmFile, restored)
+    mismatch.quarantine = quarantine(paths.quarantine, codec.name, quarantined(file, compressed, restored))
+    return mismatch
+}
+
+// A failure of a codec on an image, as listed at the end. It comes from the report entry, so that failures
+// reused from the previous report are listed too. Reports made before statuses existed only have the mismatch.
+const failureOf = (entry, name) => {
+    const status = entry[`status${name}`] || (entry[`mismatch${name}`] ? "mismatch" : "ok")
+    if (status === "ok") return null
+    return { codec: name, filename: entry.variant ? `${entry.filename} (${entry.variant})` : entry.filename, status, step: entry[`failedStep${name}`] || "round trip",
+        ...entry[`mismatch${name}`], stderr: entry[`dStderr${name}`] || entry[`cStderr${name}`] }
+}
+
+// The final summary of what failed: how many of each kind for every codec, then every failure
+const printFailures = (failures, paths) => {
+    if (!failures.length) return
+    console.log(`\nError: ${failures.length} codec run(s) failed. The files are kept in ${paths.quarantine}`)
+    const counts = {}
+    failures.forEach(({ codec, status }) => {
+        counts[codec] = counts[codec] || {}
+        counts[codec][status] = (counts[codec][status] || 0) + 1
+    })
+    console.table(counts)
+    failures.forEach(({ codec, filename, status, step, reason, offset, x, y, channel, stderr }) => {
+        const where = x === undefined ? (offset === undefined ? "" : ` at byte ${offset}`) : ` at byte ${offset} (x=${x}, y=${y}, channel=${channel})`
+        const what = status === "mismatch" ? `${reason}${where}` : `${status} while ${step === "compress" ? "compressing" : "decompressing"}`
+        console.log(`  ${codec}: ${filename} - ${what}`)
+        if (stderr) console.log(`    ${stderr.split("\n").pop()}`) // The last line the codec wrote to stderr
+    })
+    process.exitCode = 1
+}
+
+// The codecs chosen with --codecs (all of them by default), from the registry chosen with --registry
+const codecsFor = options => selectCodecs(loadCodecs(options.registry), options.codecs)
+
+// Scan, normalize and benchmark the folder, and write the report
+const bench = async options => {
+    const codecs = codecsFor(options)
+    const paths = outputPaths(path.resolve(options.out))
+    const { warmup, runs } = options
+    const timeout = options.timeout * 1000
+    const policy = { alpha: options.alpha, frames: options.frames, deep: options.deep }
+    // --force alone re-runs every codec
+    const forced = options.force === true ? codecs.map(codec => codec.name) : options.force
+    const unknownCodecs = forced.filter(name => !codecs.some(codec => codec.name === name))
+    if (unknownCodecs.length) throw new UsageError(`unknown codec(s) in --force: ${unknownCodecs.join(", ")}`)
+    // --variants alone makes every variant
+    const variants = options.variants === true ? variantNames : options.variants
+    const unknownVariants = variants.filter(name => !variantNames.includes(name))
+    if (unknownVariants.length) throw new UsageError(`unknown variant(s) in --variants: ${unknownVariants.join(", ")}. Use ${variantNames.join(", ")}`)
+    const tiles = options.tiles.map(Number)
+    if (!tiles.every(tile => Number.isInteger(tile) && tile > 0)) throw new UsageError("--tiles must be a list of positive numbers")
+
+    // Conversions, hashing and untimed work use every worker. Timed codec calls use a single one with --serial-timing,
+    // and never more than one per core: two timed calls pinned to the same core would slow each other down.
+    const workers = createScheduler(options.jobs)
+    const timers = options.serialTiming ? createScheduler(1) : options.jobs > cpuCount ? createScheduler(cpuCount) : workers
+    if (!options.serialTiming && options.jobs > cpuCount) {
+        console.warn(`Warning: --jobs=${options.jobs} is more than the ${cpuCount} core(s); timed codec calls run ${cpuCount} at a time`)
+    }
+
+    // Images that couldn't be normalized stay in the report with their error, but aren't benchmarked
+    const normalized = await getAllFiles(options.folder, { scheduler: workers, policy, paths, selection: options })
+    const allFiles = normalized.filter(file => file.ppmFile)
+    const notNormalized = normalized.filter(file => !file.ppmFile)
+    // The variants of every image are benchmarked as images of their own, right after it
+    if (variants.length) {
+        const bar = makeBar("Creating variants ".padStart(27), allFiles.length)
+        allFiles.splice(0, allFiles.length, ...allFiles.flatMap(file => {
+            let made = []
+            try { made = createVariants(file, variants, { tiles, folder: path.join(paths.tmp, "variants") }) }
+            catch (err) { console.warn(`Warning: couldn't make the variants of ${file.filename} (${err.message})`) }
+            bar.tick('')
+            return [file, ...made]
+        }))
+    }
+    const report = allFiles.map(file => ({ ...file }))
+    const previousReport = readPreviousReport(paths.report)
+    const previous = new Map(previousReport.images.filter(entry => entry.ppmsha256).map(entry => [entry.ppmsha256, entry]))
+
+    // Ejecutamos el comando en el mismo núcleo: primero las ejecuciones de calentamiento, luego las medidas
+    // Si una ejecución se pasa del tiempo máximo, las siguientes también lo harían: no las esperamos
+    const timeCodec = (codec, operation, input, output, cpu) => {
+        let hung = null
+        return measure(async () => {
+            if (hung) return hung
+            const result = await runCodec(codec, operation, input, output, cpu, timeout)
+            if (result.timedOut) hung = result
+            return result
+        }, { warmup, runs })
+    }
+
+    // Startup cost of a codec (wine, process creation, model setup), measured on a 1x1 image: its fastest run, like
+    // the times it is subtracted from, and its noise. Net times and speeds are computed without it.
+    const measureOverhead = async (codec, cpu) => {
+        const folder = path.join(paths.tmp, "overhead", codec.name)
+        fs.mkdirSync(folder, { recursive: true })
+        const empty = path.join(folder, "empty.ppm")
+        const compressed = path.join(folder, `empty.ppm${codec.extension}`)
+        fs.writeFileSync(empty, Buffer.concat([Buffer.from("P6\n1 1\n255\n"), Buffer.alloc(3)]))
+        const compress = await timeCodec(codec, "compress", empty, compressed, cpu)
+        const decompress = await timeCodec(codec, "decompress", compressed, path.join(folder, "empty.ppm.restored"), cpu)
+        const cost = stats => stats.runs ? { min: stats.min, noise: 2 * stats.stddev } : { min: 0, noise: 0 }
+        return { compress: cost(compress), decompress: cost(decompress) }
+    }
+
+    // Statistics stored in the report, besides the minimum time
+    const timeStats = ({ runs, failed, median, mean, stddev, ci95 }) => ({ runs, failed, median, mean, stddev, ci95 })
+
+    const failures = [] // Codec calls that failed, and round trips that didn't restore the original PPM
+
+    for (const codec of codecs) {
+        const name = codec.name
+        const hash = codecHash(codec)
+        const { compressedFile, restoredFile } = codecFiles(paths, codec)
+
+        // Reuse the results of the previous run for the same PPM and the same codec binaries, but for timeouts
+        const pending = []
+        allFiles.forEach((file, index) => {
+            const old = previous.get(file.ppmsha256)
+            const isCached = !forced.includes(name) && old && old[`codecHash${name}`] === hash &&
+                (old[`status${name}`] !== undefined || old[`dTime${name}`] !== undefined) && old[`status${name}`] !== "timeout"
+            if (!isCached) return pending.push(index)
+            codecFields.forEach(field => {
+                if (old[field + name] !== undefined) report[index][field + name] = old[field + name]
+            })
+            const failure = failureOf(report[index], name)
+            if (failure) failures.push(failure)
+        })
+        if (pending.length < allFiles.length)
+            console.log(`${name}: reusing ${allFiles.length - pending.length} result(s) from ${path.basename(paths.report)}`)
+        if (!pending.length) continue
+
+        const overhead = await timers.run(({ cpu }) => measureOverhead(codec, cpu))
+
+        // A failed call gives the image its status for this codec, and keeps the files in the quarantine folder.
+        // The image isn't tried any further with the codec; the other images and codecs go on.
+        const fail = (index, step, status) => {
+            const file = allFiles[index]
+            const entry = report[index]
+            entry[`status${name}`] = status
+            entry[`failedStep${name}`] = step
+            entry[`isIdentical${name}`] = "✗"
+            if (status !== "mismatch")
+                quarantine(paths.quarantine, name, failedFiles(file, step, compressedFile(file), restoredFile(file)))
+            failures.push(failureOf(entry, name))
+        }
+
+        // Comprimimos
+        const barC = makeBar(`Compressing with ${name} `.padStart(27), pending.length)
+        await timers.map(pending, async (index, { cpu }) => {
+            const file = allFiles[index]
+
+            // Guardamos el tiempo mínimo y las estadísticas en el reporte
+            const stats = await timeCodec(codec, "compress", file.ppmFile, compressedFile(file), cpu)
+            const minTime = stats.runs ? stats.min : null
+            const net = netTime(minTime, overhead.compress)
+            const ppmSize = file.ppmSize
+            const originalSize = file.originalSize
+
+            const entry = report[index]
+            entry[`codecHash${name}`] = hash
+            entry[`cTime${name}`] = minTime
+            entry[`cTimeStats${name}`] = timeStats(stats)
+            entry[`cOverhead${name}`] = overhead.compress.min
+            entry[`cNetTime${name}`] = net.netTime
+            entry[`cBelowNoise${name}`] = net.belowNoise
+            storeUsage(entry, "c", name, stats.results)
+            // Any measured run that failed makes the image fail, even if the others worked
+            const failed = stats.results.find(result => result.status)
+            if (failed) {
+                fail(index, "compress", failed.status)
+                return barC.tick('')
+            }
+
+            const compressedSize = fs.statSync(compressedFile(file)).size
+            entry[`cSpeed${name}`] = net.netTime ? ppmSize / (net.netTime / 1000) : null // Speed in bytes per second
+            entry[`cSize${name}`] = compressedSize
+            entry[`cRatio${name}`] = compressedSize / originalSize * 100
+            entry[`cRatioPPM${name}`] = compressedSize / ppmSize * 100
+            entry[`bpp${name}`] = compressedSize * 8 / (file.width * file.height) // Bits per pixel
+            barC.tick('')
+        })
+
+        // Restauramos los archivos originales, de las imágenes que se comprimieron bien
+        const compressed = pending.filter(index => !report[index][`status${name}`])
+        const barR = makeBar(`Decompressing with ${name} `.padStart(27), compressed.length)
+        await timers.map(compressed, async (index, { cpu }) => {
+            const file = allFiles[index]
+
+            // Guardamos el tiempo mínimo y las estadísticas en el reporte
+            const stats = await timeCodec(codec, "decompress", compressedFile(file), restoredFile(file), cpu)
+            const minTime = stats.runs ? stats.min : null
+            const net = netTime(minTime, overhead.decompress)
+
+            const entry = report[index]
+            entry[`dTime${name}`] = minTime
+            entry[`dTimeStats${name}`] = timeStats(stats)
+            entry[`dOverhead${name}`] = overhead.decompress.min
+            entry[`dNetTime${name}`] = net.netTime
+            entry[`dBelowNoise${name}`] = net.belowNoise
+            storeUsage(entry, "d", name, stats.results)
+            const failed = stats.results.find(result => result.status)
+            if (failed) {
+                fail(index, "decompress", failed.status)
+                return barR.tick('')
+            }
+
+            const decompressedSize = fs.statSync(restoredFile(file)).size
+            entry[`dSpeed${name}`] = net.netTime ? decompressedSize / (net.netTime / 1000) : null // Speed in bytes per second
+            // Compression time plus decompression time
+            entry[`roundTrip${name}`] = entry[`cTime${name}`] !== null && minTime !== null ? entry[`cTime${name}`] + minTime : null
+            barR.tick('')
+        })
+
+        // Check that the restored files are the very same PPMs we compressed.
+        // Hashing blocks the event loop, so it waits until no timed run is going on.
+        compressed.filter(index => !report[index][`status${name}`]).forEach(index => {
+            const file = allFiles[index]
+            const entry = report[index]
+            const mismatch = checkRoundTrip(paths, codec, file, compressedFile(file), restoredFile(file))
+            if (mismatch) {
+                entry[`mismatch${name}`] = mismatch
+                return fail(index, "round trip", "mismatch")
+            }
+            entry[`status${name}`] = "ok"
+            entry[`isIdentical${name}`] = "✓"
+        })
+    }
+
+    report.forEach(entry => delete entry["ppmFile"])
+    const registryNames = loadCodecs(options.registry).map(codec => codec.name)
+    const merged = mergeReports(previousReport, [...report, ...notNormalized], codecs.map(codec => codec.name), registryNames)
+
+    // Compare every codec against the baseline. Positive values mean the baseline is better (smaller or faster).
+    // The baseline may have changed with the codecs of this run, so the differences are all computed again.
+    const [baseline, ...others] = merged.codecs
+    merged.images.forEach(entry => {
+        Object.keys(entry).filter(key => Object.keys(diffFields).some(diffField => key.startsWith(diffField))).forEach(key => delete entry[key])
+        others.forEach(name => {
+            for (const [diffField, field] of Object.entries(diffFields)) {
+                const [value, base] = [entry[field + name], entry[field + baseline]]
+                entry[diffField + name] = typeof value === "number" && typeof base === "number" ? value - base : null
+            }
+        })
+    })
+
+    // Save the report to a json file. The next run will read it back to skip the work already done.
+    const summary = summarize(merged.images, merged.codecs)
+    fs.writeFileSync(paths.report, JSON.stringify({ summary, images: merged.images }, null, 2))
+
+    // report.forEach(file => console.table(file))
+    console.log()
+    console.table(Object.fromEntries(Object.entries(summary.overall.codecs).map(([name, figures]) => [name, {
+        images: figures.images,
+        "compressed bytes": figures.totalCompressed,
+        bpp: figures.bpp === null ? "-" : figures.bpp.toFixed(3),
+        "ratio % (geo mean)": figures.geoMeanRatioPPM === null ? "-" : figures.geoMeanRatioPPM.toFixed(2),
+        wins: figures.wins,
+    }])))
+
+    if (summary.variants) {
+        console.log("\nSize spread across the variants (bits per pixel, % of the image's):")
+        console.table(Object.fromEntries(Object.entries(summary.variants).map(([name, spread]) => [name, {
+            images: spread.images,
+            "mean spread %": spread.meanSpread === null ? "-" : spread.meanSpread.toFixed(2),
+            ...Object.fromEntries(Object.entries(spread.byVariant).map(([variant, { meanChange }]) => [`${variant} %`, meanChange.toFixed(2)]))
+        }])))
+    }
+
+    printFailures(failures, paths)
+
+}
+
+// One untimed round trip per image and codec, to check that every codec is lossless on the folder
+const verify = async options => {
+    const codecs = codecsFor(options)
+    const paths = outputPaths(path.resolve(options.out))
+    const workers = createScheduler(options.jobs)
+    const policy = { alpha: options.alpha, frames: options.frames, deep: options.deep }
+    const allFiles = (await getAllFiles(options.folder, { scheduler: workers, policy, paths, selection: options }))
+        .filter(file => file.ppmFile)
+    const timeout = options.timeout * 1000
+    const failures = []
+
+    for (const codec of codecs) {
+        const { compressedFile, restoredFile } = codecFiles(paths, codec)
+        const bar = makeBar(`Verifying ${codec.name} `.padStart(27), allFiles.length)
+        await workers.map(allFiles, async (file, { cpu }) => {
+            const compress = await runCodec(codec, "compress", file.ppmFile, compressedFile(file), cpu, timeout)
+            const decompress = compress.status ? null : await runCodec(codec, "decompress", compressedFile(file), restoredFile(file), cpu, timeout)
+            const failed = compress.status ? ["compress", compress] : decompress.status ? ["decompress", decompress] : null
+            if (failed) {
+                const [step, { status, stderr }] = failed
+                const files = failedFiles(file, step, compressedFile(file), restoredFile(file))
+                failures.push({ codec: codec.name, filename: file.filename, status, step, stderr, quarantine: quarantine(paths.quarantine, codec.name, files) })
+            }
+            else {
+                const mismatch = checkRoundTrip(paths, codec, file, compressedFile(file), restoredFile(file))
+                if (mismatch) failures.push({ codec: codec.name, filename: file.filename, status: "mismatch", step: "round trip", ...mismatch,
+                    stderr: decompress.stderr || compress.stderr })
+            }
+            bar.tick('')
+        })
+    }
+
+    if (!failures.length) console.log(`\nAll ${allFiles.length} image(s) restored identically by ${codecs.map(codec => codec.name).join(", ")}`)
+    printFailures(failures, paths)
+}
+
+
+module.exports = {
+    bench,
+    verify,
+    codecsFor
+}
@@ -0,0 +1,113 @@
+const path = require("path");
+const fs = require("fs");
+
+
+// Settings are read from this file in the current folder, unless --config says otherwise.
+// Keys are option names (e.g. "jobs" or "serial-timing"); a key named after a command holds options for that command only.
+const defaultConfigFile = "lea-tester.config.json";
+
+class UsageError extends Error { }
+
+// "serial-timing" is stored as options.serialTiming
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Turn a value from the command line or the config file into the type of the option
+const coerce = (option, value, source) => {
+    const fail = () => { throw new UsageError(`${source}: --${option.name} ${option.hint || "has an invalid value"}`); };
+    switch (option.type) {
+        case "boolean":
+            if (typeof value === "boolean") return value;
+            if (value === "true" || value === "false") return value === "true";
+            return fail();
+        case "number": {
+            const number = typeof value === "number" ? value : Number(value);
+            if (value === "" || !isFinite(number) || number < option.min) return fail();
+            return number;
+        }
+        case "list":
+            // Some list options given without a value (e.g. --force) mean "everything"
+            if (value === true) return option.allowAll ? true : fail();
+            return (Array.isArray(value) ? value : String(value).split(",")).map(item => String(item).trim()).filter(Boolean);
+        default:
+            if (option.choices && !option.choices.includes(String(value))) return fail();
+            return String(value);
+    }
+}
+
+// Read the config file: an explicit one must exist, the default one is optional
+const loadConfig = (file, command) => {
+    const configFile = file || path.resolve(defaultConfigFile);
+    if (!fs.existsSync(configFile)) {
+        if (file) throw new UsageError(`Config file ${file} not found`);
+        return { settings: {}, folder: process.cwd() };
+    }
+    let content;
+    try { content = JSON.parse(fs.readFileSync(configFile, "utf8")); }
+    catch (err) { throw new UsageError(`Can't read ${configFile}: ${err.message}`); }
+    const { [command]: section = {}, ...shared } = content;
+    return { settings: { ...shared, ...section }, folder: path.dirname(path.resolve(configFile)), file: configFile };
+}
+
+// Parse the arguments of a command. Defaults come first, then the config file, then the command line.
+// Relative paths from the config file are relative to the folder of the config file.
+const parseArgs = (command, argv) => {
+    const byName = new Map(command.options.map(option => [option.name, option]));
+    const options = {};
+    command.options.forEach(option => options[camelCase(option.name)] = option.default);
+
+    const configArg = argv.find(arg => arg.startsWith("--config="));
+    const config = loadConfig(configArg && configArg.slice("--config=".length), command.name);
+    Object.entries(config.settings).forEach(([key, value]) => {
+        // Settings of other commands are shared in the same file, so unknown keys are fine
+        const option = byName.get(key) || command.options.find(option => camelCase(option.name) === key);
+        if (!option) return;
+        const coerced = coerce(option, value, config.file);
+        options[camelCase(option.name)] = option.path && typeof coerced === "string" ? path.resolve(config.folder, coerced) : coerced;
+    });
+    if (config.settings.corpus && command.positional === "folder") options.folder = path.resolve(config.folder, config.settings.corpus);
+
+    const positional = [];
+    for (const arg of argv) {
+        if (arg === "--help" || arg === "-h") options.help = true;
+        else if (arg.startsWith("--config=")) continue;
+        else if (arg.startsWith("--")) {
+            const [name, ...rest] = arg.slice(2).split("=");
+            const value = rest.length ? rest.join("=") : undefined;
+            const negated = name.startsWith("no-") && byName.get(name.slice(3));
+            const option = byName.get(name) || negated;
+            if (!option) throw new UsageError(`Unknown option --${name} for ${command.name}`);
+            if (negated) options[camelCase(option.name)] = false;
+            else if (value === undefined && option.type !== "boolean" && !option.allowAll)
+                throw new UsageError(`--${name} needs a value (--${name}=${option.placeholder || "VALUE"})`);
+            else options[camelCase(option.name)] = coerce(option, value === undefined ? true : value, "command line");
+        }
+        else positional.push(arg);
+    }
+    if (positional.length && command.positional) options[camelCase(command.positional)] = positional[0];
+    if (positional.length > (command.positional ? 1 : 0)) throw new UsageError(`Too many arguments for ${command.name}`);
+    return options;
+}
+
+// Help text built from the definition of the command
+const helpText = (program, command) => {
+    const usage = [`Usage: ${program} ${command.name}`];
+    if (command.positional) usage.push(command.positionalRequired ? `<${command.positional}>` : `[${command.positional}]`);
+    usage.push("[options]");
+    const flags = command.options.map(option => {
+        const value = option.type === "boolean" ? "" : option.allowAll ? `[=${option.placeholder}]` : `=${option.placeholder || "VALUE"}`;
+        const empty = option.default === undefined || option.default === false || (Array.isArray(option.default) && !option.default.length);
+        const fallback = empty ? "" : ` (default: ${option.default})`;
+        return [`--${option.name}${value}`, `${option.description}${fallback}`];
+    });
+    flags.push(["--config=FILE", `read settings from FILE (default: ./${defaultConfigFile} if there is one)`], ["--help", "show this help"]);
+    const width = Math.max(...flags.map(([flag]) => flag.length)) + 2;
+    return [usage.join(" "), "", command.description, "", "Options:",
+        ...flags.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`)].join("\n");
+}
+
+
+module.exports = {
+    UsageError,
+    parseArgs,
+    helpText
+}
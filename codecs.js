@@ -0,0 +1,130 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const sha256File = require('sha256-file'); // https://www.npmjs.com/package/sha256-file
+
+const { findProgram, splitArgs, resolveRunner, wrapCommand } = require("./runner.js");
+
+
+const defaultConfig = path.join(__dirname, "codecs.json"); // The codec registry
+
+// Every codec entry must have these properties
+const requiredFields = ["name", "compress", "decompress", "extension"];
+
+// The name of a codec is the name of its folders in tmp/ and the quarantine, and its extension ends the names of
+// its files: they must stay in there
+const isPathSafe = text => !/[\/\\\0]/.test(text);
+const isSafeName = name => isPathSafe(name) && name !== "." && name !== "..";
+
+// Read the codec registry and check that every entry is usable
+const loadCodecs = (configFile = defaultConfig) => {
+    const codecs = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    if (!Array.isArray(codecs) || codecs.length === 0)
+        throw new Error(`${configFile} must contain a non-empty array of codecs`);
+
+    const names = new Set();
+    return codecs.map(codec => {
+        const missing = requiredFields.filter(field => typeof codec[field] !== "string" || codec[field] === "");
+        if (missing.length) throw new Error(`Codec ${codec.name || "(unnamed)"} is missing ${missing.join(", ")}`);
+        if (!isSafeName(codec.name)) throw new Error(`Codec ${codec.name}: the name can't be . or .., or have / or \\ in it`);
+        if (!isPathSafe(codec.extension)) throw new Error(`Codec ${codec.name}: the extension can't have / or \\ in it`);
+        if (names.has(codec.name)) throw new Error(`Codec ${codec.name} is defined twice`);
+        names.add(codec.name);
+        for (const operation of ["compress", "decompress"]) {
+            try { splitArgs(codec[operation]); }
+            catch (err) { throw new Error(`Codec ${codec.name}: ${err.message}`); }
+        }
+        return {
+            ...codec,
+            runner: resolveRunner(codec), // How the codec is launched: natively, under wine or through a prefix
+            // Relative binaries in the templates are resolved from the folder holding the registry
+            cwd: path.dirname(path.resolve(configFile))
+        };
+    });
+}
+
+// Keep only the codecs with the given names, in the order of the registry. No names means every codec.
+const selectCodecs = (codecs, names = []) => {
+    if (!names.length) return codecs;
+    const unknown = names.filter(name => !codecs.some(codec => codec.name === name));
+    if (unknown.length) throw new Error(`Unknown codec(s): ${unknown.join(", ")}. The registry has ${codecs.map(codec => codec.name).join(", ")}`);
+    return codecs.filter(codec => names.includes(codec.name));
+}
+
+// Fill a command template ("compress" or "decompress") with the input and output files. The template is split
+// into arguments first, so the file names end up as arguments whatever characters they have.
+const buildCommand = (codec, operation, input, output) => {
+    const args = splitArgs(codec[operation]).map(arg => arg
+        .replace(/{input}/g, () => input)
+        .replace(/{output}/g, () => output));
+    // The environment of the runner (e.g. WINEDEBUG=-all) goes in the environment of the process,
+    // so the command can still be prefixed (e.g. by taskset)
+    return wrapCommand(codec.runner, args);
+}
+
+// Find the executable a command template runs: the first argument, either relative to the registry or on the PATH
+const findExecutable = (codec, template) => findProgram(splitArgs(template)[0], codec.cwd);
+
+// Fingerprint of a codec: its command templates, how it is launched, plus the contents of its binaries.
+// Results are only reused while this stays the same.
+const codecHash = codec => {
+    const hash = crypto.createHash("sha256");
+    for (const operation of ["compress", "decompress"]) {
+        const executable = findExecutable(codec, codec[operation]);
+        hash.update(codec[operation]);
+        hash.update(executable ? sha256File(executable) : "not found");
+    }
+    hash.update(codec.extension);
+    hash.update(codec.runner.prefix.join(" "));
+    return hash.digest("hex");
+}
+
+// Lea builds dropped in the bin/ folder next to the registry (bin/<version>/ with clea.exe and dlea.exe) that no
+// codec of the registry runs yet. Each one comes with its folder and a registry entry for it, named after the
+// folder ("v0.6" is "0.6", unless the registry has that name already). They run under wine, like the builds
+// that come with Lea-Tester.
+const findNewBuilds = (configFile = defaultConfig) => {
+    const codecs = loadCodecs(configFile);
+    const binFolder = path.join(path.dirname(path.resolve(configFile)), "bin");
+    if (!fs.existsSync(binFolder)) return [];
+    const known = new Set(codecs.flatMap(codec => ["compress", "decompress"].map(operation => findExecutable(codec, codec[operation])))
+        .filter(Boolean).map(executable => path.dirname(executable)));
+    const names = new Set(codecs.map(codec => codec.name));
+    return fs.readdirSync(binFolder).sort()
+        // Folder names go in command templates as they are
+        .filter(version => /^[\w.+-]+$/.test(version) && !known.has(path.join(binFolder, version)))
+        .filter(version => ["clea.exe", "dlea.exe"].every(file => fs.existsSync(path.join(binFolder, version, file))))
+        .map(version => {
+            const short = version.replace(/^v(?=\d)/, "");
+            const name = names.has(short) ? version : short;
+            names.add(name);
+            return {
+                folder: path.join(binFolder, version),
+                codec: {
+                    name,
+                    compress: `bin/${version}/clea.exe {input} {output}`,
+                    decompress: `bin/${version}/dlea.exe {input} {output}`,
+                    extension: `.lea-${name}`,
+                    runner: "wine"
+                }
+            };
+        });
+}
+
+// Add entries at the end of the registry file
+const addCodecs = (configFile = defaultConfig, entries) => {
+    const codecs = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    fs.writeFileSync(configFile, JSON.stringify([...codecs, ...entries], null, 4) + "\n");
+}
+
+
+module.exports = {
+    defaultConfig,
+    loadCodecs,
+    selectCodecs,
+    findNewBuilds,
+    addCodecs,
+    buildCommand,
+    codecHash
+}
@@ -0,0 +1,128 @@
+/*
+Compares a benchmark report against a saved baseline report, e.g. a new Lea beta against the last release.
+Images are matched by the sha256 of their PPM, so both reports can come from different folders or machines.
+For every matched image it gives the difference in compressed size and in compression and decompression speed,
+and the same over the whole set of matched images.
+An image is a regression when it compresses worse than in the baseline by more than the threshold (in % of
+the baseline size), or when its round trip fails and it didn't fail in the baseline.
+Variants of the images (bench --variants) get a row of their own, but stay out of the totals, which are over the
+images of the corpus like the summary of the report; their regressions are counted apart.
+
+Usage: node index.js compare <baseline.json> [--report=results.json] [--threshold=1] [--codec=0.6] [--baseline-codec=0.5]
+By default every codec found in both reports is compared with itself. If they have no codec in common,
+the last codec of each report is used (the newest version, usually).
+Exits with code 1 when there are regressions, so it can gate a release or a CI job, and 2 on usage errors.
+ */
+
+const { hasResult } = require("./summary.js");
+
+
+const isNumber = value => typeof value === "number" && isFinite(value);
+const sum = values => values.reduce((total, value) => total + value, 0);
+const percentDelta = (value, base) => isNumber(value) && isNumber(base) && base !== 0 ? (value - base) / base * 100 : null;
+const corpusOf = entries => entries.filter(entry => !entry.variant);
+
+// Which codec of the current report is compared with which codec of the baseline
+const codecPairs = (current, baseline, { codec, baselineCodec }) => {
+    if (codec || baselineCodec) return [[codec || baselineCodec, baselineCodec || codec]];
+    const common = current.codecs.filter(name => baseline.codecs.includes(name));
+    if (common.length) return common.map(name => [name, name]);
+    return [[current.codecs[current.codecs.length - 1], baseline.codecs[baseline.codecs.length - 1]]];
+}
+
+const compareCodec = (current, baseline, name, baseName, threshold) => {
+    // Images that couldn't be normalized have no PPM hash to match them by
+    const previous = new Map(baseline.images.filter(entry => entry.ppmsha256).map(entry => [entry.ppmsha256, entry]));
+    const matched = current.images.filter(entry => entry.ppmsha256 && previous.has(entry.ppmsha256));
+
+    const images = matched.map(entry => {
+        const old = previous.get(entry.ppmsha256);
+        const sizeDelta = percentDelta(entry[`cSize${name}`], old[`cSize${baseName}`]);
+        const newlyFailing = entry[`isIdentical${name}`] === "✗" && old[`isIdentical${baseName}`] !== "✗";
+        const reasons = [];
+        if (isNumber(sizeDelta) && sizeDelta > threshold) reasons.push(`${sizeDelta.toFixed(2)}% bigger`);
+        if (newlyFailing) reasons.push("round trip fails");
+        return {
+            filename: entry.filename,
+            variant: entry.variant || null,
+            ppmsha256: entry.ppmsha256,
+            size: entry[`cSize${name}`],
+            baselineSize: old[`cSize${baseName}`],
+            sizeDelta,
+            cSpeedDelta: percentDelta(entry[`cSpeed${name}`], old[`cSpeed${baseName}`]),
+            dSpeedDelta: percentDelta(entry[`dSpeed${name}`], old[`dSpeed${baseName}`]),
+            regression: reasons.join(", ") || null
+        };
+    });
+
+    // Totals over the images of the corpus both reports compressed and restored correctly, as in the summary
+    const matchedCorpus = corpusOf(matched);
+    const sized = matchedCorpus.filter(entry => hasResult(entry, name) && hasResult(previous.get(entry.ppmsha256), baseName));
+    const throughput = (entries, time, codec) => {
+        const timed = entries.filter(entry => isNumber(entry[time + codec]) && entry[time + codec] > 0);
+        return timed.length ? sum(timed.map(entry => entry.ppmSize)) / sum(timed.map(entry => entry[time + codec])) * 1000 : null;
+    }
+    const baselineMatched = sized.map(entry => previous.get(entry.ppmsha256));
+    const aggregate = {
+        matched: matchedCorpus.length,
+        onlyInCurrent: corpusOf(current.images).length - matchedCorpus.length,
+        onlyInBaseline: corpusOf(baseline.images).length - matchedCorpus.length,
+        totalSize: sum(sized.map(entry => entry[`cSize${name}`])),
+        baselineTotalSize: sum(sized.map(entry => previous.get(entry.ppmsha256)[`cSize${baseName}`])),
+        cSpeedDelta: percentDelta(throughput(sized, "cNetTime", name), throughput(baselineMatched, "cNetTime", baseName)),
+        dSpeedDelta: percentDelta(throughput(sized, "dNetTime", name), throughput(baselineMatched, "dNetTime", baseName)),
+        regressions: images.filter(image => image.regression && !image.variant).length,
+        variants: images.filter(image => image.variant).length,
+        variantRegressions: images.filter(image => image.regression && image.variant).length
+    };
+    aggregate.sizeDelta = percentDelta(aggregate.totalSize, aggregate.baselineTotalSize);
+
+    return { codec: name, baselineCodec: baseName, images, aggregate };
+}
+
+const compareReports = (current, baseline, { threshold = 1, codec, baselineCodec } = {}) =>
+    codecPairs(current, baseline, { codec, baselineCodec }).map(([name, baseName]) => {
+        if (!current.codecs.includes(name)) throw new Error(`Codec ${name} is not in the report`);
+        if (!baseline.codecs.includes(baseName)) throw new Error(`Codec ${baseName} is not in the baseline report`);
+        return compareCodec(current, baseline, name, baseName, threshold);
+    });
+
+const labelOf = image => image.variant ? `${image.filename} (${image.variant})` : image.filename;
+const regressionCount = aggregate => `${aggregate.regressions} regression(s)` +
+    (aggregate.variants ? `, and ${aggregate.variantRegressions} among the ${aggregate.variants} variants` : "");
+
+const signedPercent = value => isNumber(value) ? `${value > 0 ? "+" : ""}${value.toFixed(2)}%` : "-";
+
+// Print every comparison: a table of images, then the totals
+const printComparison = comparisons => comparisons.forEach(({ codec, baselineCodec, images, aggregate }) => {
+    console.log(`\n${codec} against ${baselineCodec} of the baseline`);
+    console.table(images.map(image => ({
+        file: labelOf(image),
+        size: image.size,
+        baseline: image.baselineSize,
+        "size Δ": signedPercent(image.sizeDelta),
+        "c speed Δ": signedPercent(image.cSpeedDelta),
+        "d speed Δ": signedPercent(image.dSpeedDelta),
+        regression: image.regression || ""
+    })));
+    console.log(`${aggregate.matched} images matched (${aggregate.onlyInCurrent} only in the report, ${aggregate.onlyInBaseline} only in the baseline)`);
+    console.log(`Total size: ${aggregate.totalSize} vs ${aggregate.baselineTotalSize} (${signedPercent(aggregate.sizeDelta)})`);
+    console.log(`Compression speed ${signedPercent(aggregate.cSpeedDelta)}, decompression speed ${signedPercent(aggregate.dSpeedDelta)}`);
+    console.log(regressionCount(aggregate));
+});
+
+// A few lines instead of the table of images: the totals, and on how many images the codec got better or worse
+const printShortComparison = ({ codec, baselineCodec, images, aggregate }, threshold = 1) => {
+    const better = images.filter(image => !image.variant && isNumber(image.sizeDelta) && image.sizeDelta < -threshold).length;
+    console.log(`${codec} against ${baselineCodec}, over ${aggregate.matched} images:`);
+    console.log(`  total size ${aggregate.totalSize} vs ${aggregate.baselineTotalSize} (${signedPercent(aggregate.sizeDelta)}), ` +
+        `compression speed ${signedPercent(aggregate.cSpeedDelta)}, decompression speed ${signedPercent(aggregate.dSpeedDelta)}`);
+    console.log(`  ${better} image(s) smaller by more than ${threshold}%, ${regressionCount(aggregate)}`);
+}
+
+
+module.exports = {
+    compareReports,
+    printComparison,
+    printShortComparison
+}
@@ -0,0 +1,180 @@
+/*
+Exports a benchmark report (results.json) as a table to paste somewhere else:
+    - csv: for spreadsheets
+    - markdown: a GitHub-flavoured Markdown table
+    - bbcode: [table] markup for the encode.su forum
+Columns are report fields: filename, variant, originalSize, ppmSize, width, height (and the other fields of the image
+but the objects), and for every codec cSize, cRatio, cRatioPPM, bpp, cTime, cNetTime, cSpeed, cPeakRss, cUserTime,
+cSysTime, dTime, dNetTime, dSpeed, dPeakRss, dUserTime, dSysTime, roundTrip, isIdentical, status, the differences
+against the baseline (cSizeDiff...) and the others but the objects, followed by the codec name (e.g. cSize0.5).
+Sizes are given in KB, memory in MB, speeds in MB/s, times in ms and ratios in %. The last row has the totals of the corpus:
+variants of the images (bench --variants) have rows of their own but aren't counted in it, and the totals of a
+codec are over the images it compressed and restored correctly, as in the summary.
+
+Usage: node index.js report --format=<csv|markdown|bbcode> [--output=FILE]
+        [--columns=filename,cSize0.4,cSize0.5] [--sort=cSize0.5 or --sort=-cSize0.5 for descending order]
+The table is printed to the standard output when no output file is given.
+ */
+
+const { hasResult } = require("./summary.js");
+const { UsageError } = require("./cli.js");
+
+
+const isNumber = value => typeof value === "number" && isFinite(value);
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+// Rows having both fields, to compute totals from
+const withFields = (rows, ...fields) => rows.filter(row => fields.every(field => isNumber(row[field])));
+const ratioOfSums = (rows, numerator, denominator, scale = 1) => {
+    const both = withFields(rows, numerator, denominator);
+    const bottom = sum(both.map(row => row[denominator]));
+    return bottom ? sum(both.map(row => row[numerator])) / bottom * scale : null;
+}
+
+const highest = (rows, field) => withFields(rows, field).reduce((max, row) => max === null || row[field] > max ? row[field] : max, null);
+
+// How every kind of field is shown and totalled. Fields of the image (image: true) are the prefix itself; the
+// fields of a codec are the prefix followed by the name of the codec. Fields holding objects (cTimeStats, mismatch,
+// entropy...) can't be shown in a cell, so they have no kind.
+const fieldKinds = [
+    { prefix: "originalSize", image: true, unit: "KB", digits: 1, scale: 1 / 1024, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "ppmSize", image: true, unit: "KB", digits: 1, scale: 1 / 1024, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "width", image: true, unit: "px", digits: 0, scale: 1 },
+    { prefix: "height", image: true, unit: "px", digits: 0, scale: 1 },
+    ...["filename", "variant", "variantOf", "testbedFile", "originalsha256", "ppmsha256", "channels", "maxval",
+        "uniqueColours", "neighbourRepeat", "kind", "normalizeError"].map(prefix => ({ prefix, image: true })),
+    { prefix: "cSize", unit: "KB", digits: 1, scale: 1 / 1024, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "cRatioPPM", unit: "%", digits: 2, scale: 1, total: (rows, field, name) => ratioOfSums(rows, `cSize${name}`, "ppmSize", 100) },
+    { prefix: "cRatio", unit: "%", digits: 2, scale: 1, total: (rows, field, name) => ratioOfSums(rows, `cSize${name}`, "originalSize", 100) },
+    { prefix: "bpp", unit: "bpp", digits: 3, scale: 1, total: (rows, field, name) => ratioOfSums(rows, `cSize${name}`, "pixels", 8) },
+    { prefix: "cTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "dTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "cNetTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "dNetTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "cUserTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "cSysTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "dUserTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    { prefix: "dSysTime", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    // The total of a peak is the highest one
+    { prefix: "cPeakRss", unit: "MB", digits: 1, scale: 1 / 1048576, total: highest },
+    { prefix: "dPeakRss", unit: "MB", digits: 1, scale: 1 / 1048576, total: highest },
+    { prefix: "roundTrip", unit: "ms", digits: 1, scale: 1, total: (rows, field) => sum(withFields(rows, field).map(row => row[field])) },
+    // Speeds are in bytes per second in the report; the total is the throughput over the whole corpus, from the net
+    // times (without the startup overhead), so images timed below the noise of the overhead don't count
+    { prefix: "cSpeed", unit: "MB/s", digits: 2, scale: 1e-6, total: (rows, field, name) => ratioOfSums(rows, "ppmSize", `cNetTime${name}`, 1000) },
+    { prefix: "dSpeed", unit: "MB/s", digits: 2, scale: 1e-6, total: (rows, field, name) => ratioOfSums(rows, "ppmSize", `dNetTime${name}`, 1000) },
+    // Counts the failures too: the only total over every image
+    { prefix: "isIdentical", allImages: true, total: (rows, field) => `${rows.filter(row => row[field] === "✓").length}/${rows.length} ✓` },
+    // Differences against the baseline have no meaningful total
+    { prefix: "cSizeDiff", unit: "KB", digits: 1, scale: 1 / 1024 },
+    { prefix: "cRatioDiff", unit: "%", digits: 2, scale: 1 },
+    { prefix: "cRatioPPMDiff", unit: "%", digits: 2, scale: 1 },
+    { prefix: "cTimeDiff", unit: "ms", digits: 1, scale: 1 },
+    { prefix: "dTimeDiff", unit: "ms", digits: 1, scale: 1 },
+    { prefix: "roundTripDiff", unit: "ms", digits: 1, scale: 1 },
+    { prefix: "cOverhead", unit: "ms", digits: 1, scale: 1 },
+    { prefix: "dOverhead", unit: "ms", digits: 1, scale: 1 },
+    ...["status", "failedStep", "codecHash", "cBelowNoise", "dBelowNoise", "cExitCode", "dExitCode", "cSignal", "dSignal",
+        "cStderr", "dStderr"].map(prefix => ({ prefix }))
+];
+
+// The kind of a field, and the codec it belongs to ("" for the fields of the image), or null if it isn't a field
+// of the table
+const resolveField = (field, codecs) => {
+    const image = fieldKinds.find(kind => kind.image && kind.prefix === field);
+    if (image) return { kind: image, name: "" };
+    for (const kind of fieldKinds.filter(kind => !kind.image)) {
+        const name = codecs.find(name => field === kind.prefix + name);
+        if (name !== undefined) return { kind, name };
+    }
+    return null;
+}
+
+const columnTitle = (field, { unit }) => unit ? `${field} (${unit})` : field;
+
+const formatValue = ({ scale, digits }, value) => {
+    if (isNumber(value) && scale !== undefined) return (value * scale).toFixed(digits);
+    return value === undefined || value === null ? "" : String(value);
+}
+
+const defaultColumns = (codecs, withVariants) => ["filename", ...(withVariants ? ["variant"] : []), "ppmSize",
+    ...codecs.flatMap(name => ["cSize", "cRatio", "cRatioPPM", "bpp", "cTime", "cSpeed", "dTime", "dSpeed", "roundTrip", "isIdentical"]
+        .map(prefix => prefix + name))];
+
+// The rows of the report, with the values every column needs, sorted and formatted. The last row has the totals.
+const buildTable = ({ images, codecs }, { columns = defaultColumns(codecs, images.some(entry => entry.variant)), sort } = {}) => {
+    const sortField = sort && sort.startsWith("-") ? sort.slice(1) : sort;
+    const unknown = [...columns, ...(sort ? [sortField] : [])].filter(field => !resolveField(field, codecs));
+    if (unknown.length) throw new UsageError(`unknown field(s) in --columns or --sort: ${unknown.join(", ")}. ` +
+        `Use a field of the image (filename, ppmSize...) or a field of a codec followed by its name (${codecs.map(name => `cSize${name}`).join(", ")}...)`);
+    const fields = columns.map(field => resolveField(field, codecs));
+
+    const rows = images.map(entry => {
+        const row = { ...entry, pixels: entry.width * entry.height };
+        codecs.forEach(name => {
+            if (isNumber(entry[`cSize${name}`]) && row.pixels > 0) row[`bpp${name}`] = entry[`cSize${name}`] * 8 / row.pixels;
+        });
+        return row;
+    });
+
+    if (sort) {
+        const descending = sort.startsWith("-");
+        rows.sort((a, b) => {
+            const [x, y] = [a[sortField], b[sortField]];
+            if (x === undefined || x === null || y === undefined || y === null) return (x == null) - (y == null);
+            const order = isNumber(x) && isNumber(y) ? x - y : String(x).localeCompare(String(y));
+            return descending ? -order : order;
+        });
+    }
+
+    const corpus = rows.filter(row => !row.variant);
+    const totals = columns.map((field, index) => {
+        if (index === 0) return "Total";
+        const { kind, name } = fields[index];
+        if (!kind.total) return "";
+        const counted = name && !kind.allImages ? corpus.filter(row => hasResult(row, name)) : corpus;
+        return formatValue(kind, kind.total(counted, field, name));
+    });
+
+    return {
+        header: columns.map((field, index) => columnTitle(field, fields[index].kind)),
+        rows: rows.map(row => columns.map((field, index) => formatValue(fields[index].kind, row[field]))),
+        totals
+    };
+}
+
+const csvField = text => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+const markdownField = text => text.replace(/\|/g, "\\|");
+// BBCode has no escaping, so brackets in file names are replaced by lookalikes
+const bbcodeField = text => text.replace(/\[/g, "(").replace(/\]/g, ")");
+
+const exporters = {
+    csv: ({ header, rows, totals }) =>
+        [header, ...rows, totals].map(row => row.map(csvField).join(",")).join("\n") + "\n",
+
+    markdown: ({ header, rows, totals }) => [
+        `| ${header.map(markdownField).join(" | ")} |`,
+        `|${header.map((title, index) => index === 0 ? " --- " : " ---: ").join("|")}|`,
+        ...rows.map(row => `| ${row.map(markdownField).join(" | ")} |`),
+        `| ${totals.map(text => text && `**${markdownField(text)}**`).join(" | ")} |`
+    ].join("\n") + "\n",
+
+    bbcode: ({ header, rows, totals }) => [
+        "[table]",
+        `[tr]${header.map(title => `[td][b]${bbcodeField(title)}[/b][/td]`).join("")}[/tr]`,
+        ...rows.map(row => `[tr]${row.map(text => `[td]${bbcodeField(text)}[/td]`).join("")}[/tr]`),
+        `[tr]${totals.map(text => `[td][b]${bbcodeField(text)}[/b][/td]`).join("")}[/tr]`,
+        "[/table]"
+    ].join("\n") + "\n"
+};
+
+const exportReport = (report, format, options) => {
+    if (!exporters[format]) throw new Error(`Unknown format ${format}. Use one of: ${Object.keys(exporters).join(", ")}`);
+    return exporters[format](buildTable(report, options));
+}
+
+
+module.exports = {
+    exportReport,
+    formats: Object.keys(exporters)
+}
@@ -0,0 +1,123 @@
+/*
+The generate command writes a corpus of synthetic PPM/PGM images covering the edge cases a real corpus rarely has:
+1x1 images, single-colour images, pure noise, gradients, very wide and very tall strips, and maxval other than 255
+(down to bilevel images, and 16 bit samples). With --huge, it also writes images at the width/height limit of
+Lea (2^29 pixels, see bin/v0.5b/README), which take 512 MB each.
+The images are the same for the same --seed, so a failure can be reproduced anywhere. Benchmark or verify the
+folder like any other: round trip failures and odd ratios show up in the report. Use --deep=keep, or the 16 bit
+images are reduced to 8 bits before the codecs see them.
+
+Usage: node index.js generate <corpus> [--seed=N] [--only=noise-rgb,maxval-1] [--huge]
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+const { seededRandom } = require("./utils.js");
+const { UsageError } = require("./cli.js");
+
+
+// Samples of the images. Each one is given the random number generator of the image and the image, and returns
+// the value of the sample (x, y, channel).
+const noise = (random, { maxval }) => () => Math.floor(random() * (maxval + 1));
+const singleColour = (random, { maxval }) => {
+    const colour = [0, 1, 2].map(() => Math.floor(random() * (maxval + 1)));
+    return (x, y, channel) => colour[channel];
+}
+const constant = value => () => () => value;
+// Red goes left to right, green top to bottom and blue along the diagonal; greyscale images go left to right
+const gradient = (random, { width, height, maxval }) => (x, y, channel) => {
+    const position = [x / Math.max(1, width - 1), y / Math.max(1, height - 1), (x + y) / Math.max(1, width + height - 2)][channel];
+    return Math.round(position * maxval);
+}
+// A gradient with a little noise, like a photograph of the sky
+const noisyGradient = (random, image) => {
+    const base = gradient(random, image);
+    return (x, y, channel) => Math.min(image.maxval, Math.max(0, base(x, y, channel) + Math.floor(random() * 5) - 2));
+}
+const checkerboard = (random, { maxval }) => (x, y) => ((x >> 3) + (y >> 3)) % 2 ? maxval : 0;
+// Repeating ramps, for images too long for a single gradient to change at all
+const ramps = (random, { maxval }) => (x, y) => (x + y) % (maxval + 1);
+
+// Lea refuses images wider or taller than this
+const sizeLimit = 2 ** 29;
+
+// The images of the corpus. Huge ones are only written with --huge.
+const cases = [
+    { name: "1x1-rgb", width: 1, height: 1, channels: 3, maxval: 255, samples: noise },
+    { name: "1x1-grey", width: 1, height: 1, channels: 1, maxval: 255, samples: noise },
+    { name: "single-colour", width: 256, height: 256, channels: 3, maxval: 255, samples: singleColour },
+    { name: "black", width: 256, height: 256, channels: 1, maxval: 255, samples: constant(0) },
+    { name: "white", width: 256, height: 256, channels: 3, maxval: 255, samples: constant(255) },
+    { name: "noise-rgb", width: 512, height: 512, channels: 3, maxval: 255, samples: noise },
+    { name: "noise-grey", width: 512, height: 512, channels: 1, maxval: 255, samples: noise },
+    { name: "gradient-rgb", width: 1024, height: 768, channels: 3, maxval: 255, samples: gradient },
+    { name: "gradient-grey", width: 1024, height: 768, channels: 1, maxval: 255, samples: gradient },
+    { name: "gradient-noisy", width: 1024, height: 768, channels: 3, maxval: 255, samples: noisyGradient },
+    { name: "checkerboard", width: 256, height: 256, channels: 3, maxval: 255, samples: checkerboard },
+    { name: "odd-size", width: 251, height: 3, channels: 3, maxval: 255, samples: noisyGradient },
+    { name: "strip-wide", width: 65536, height: 1, channels: 3, maxval: 255, samples: noisyGradient },
+    { name: "strip-tall", width: 1, height: 65536, channels: 3, maxval: 255, samples: noisyGradient },
+    { name: "strip-wide-grey", width: 1 << 20, height: 2, channels: 1, maxval: 255, samples: ramps },
+    { name: "maxval-1", width: 256, height: 256, channels: 1, maxval: 1, samples: noise },
+    { name: "maxval-15", width: 256, height: 256, channels: 3, maxval: 15, samples: noisyGradient },
+    { name: "maxval-127", width: 256, height: 256, channels: 1, maxval: 127, samples: noise },
+    { name: "maxval-1023", width: 256, height: 256, channels: 3, maxval: 1023, samples: noisyGradient },
+    { name: "maxval-65535", width: 256, height: 256, channels: 1, maxval: 65535, samples: noise },
+    { name: "limit-wide", width: sizeLimit, height: 1, channels: 1, maxval: 255, samples: ramps, huge: true },
+    { name: "limit-tall", width: 1, height: sizeLimit, channels: 1, maxval: 255, samples: ramps, huge: true }
+];
+
+const caseNames = cases.map(image => image.name);
+
+// Every image has its own random numbers, so adding an image to the corpus doesn't change the others (FNV-1a)
+const seedFor = (seed, name) => [...name].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, (2166136261 ^ seed) >>> 0);
+
+// Write the image in chunks, so that even the huge ones don't need to fit in memory
+const writeImage = (file, image, seed) => {
+    const { width, height, channels, maxval } = image;
+    const bytesPerSample = maxval > 255 ? 2 : 1;
+    const pixelSize = channels * bytesPerSample;
+    const sample = image.samples(seededRandom(seedFor(seed, image.name)), image);
+    const chunkPixels = Math.floor((1 << 20) / pixelSize);
+    const chunk = Buffer.alloc(chunkPixels * pixelSize);
+    const pixels = width * height;
+    const fd = fs.openSync(file, "w");
+    try {
+        fs.writeSync(fd, `${channels === 1 ? "P5" : "P6"}\n${width} ${height}\n${maxval}\n`);
+        for (let first = 0; first < pixels; first += chunkPixels) {
+            const last = Math.min(pixels, first + chunkPixels);
+            let offset = 0;
+            for (let pixel = first; pixel < last; pixel++) {
+                const x = pixel % width;
+                const y = Math.floor(pixel / width);
+                for (let channel = 0; channel < channels; channel++) {
+                    if (bytesPerSample === 1) chunk[offset] = sample(x, y, channel);
+                    else chunk.writeUInt16BE(sample(x, y, channel), offset);
+                    offset += bytesPerSample;
+                }
+            }
+            fs.writeSync(fd, chunk, 0, offset);
+        }
+    }
+    finally { fs.closeSync(fd); }
+}
+
+// Write the images to the folder: all of them, or the ones named in `only`. Returns what was written.
+const generateCorpus = (folder, { seed = 1, only = [], huge = false } = {}) => {
+    const unknown = only.filter(name => !caseNames.includes(name));
+    if (unknown.length) throw new UsageError(`unknown image(s) in --only: ${unknown.join(", ")}. Use ${caseNames.join(", ")}`);
+    const chosen = cases.filter(image => only.length ? only.includes(image.name) : huge || !image.huge);
+    fs.mkdirSync(folder, { recursive: true });
+    return chosen.map(image => {
+        const file = path.join(folder, image.name + (image.channels === 1 ? ".pgm" : ".ppm"));
+        writeImage(file, image, seed);
+        return { file, name: image.name, width: image.width, height: image.height, maxval: image.maxval, size: fs.statSync(file).size };
+    });
+}
+
+
+module.exports = {
+    caseNames,
+    generateCorpus
+}
@@ -0,0 +1,264 @@
+/*
+Turns a benchmark report (results.json) into a single, self-contained HTML page that works offline:
+    - a summary table for the whole corpus, and one of the size spread across the variants of the images if there are
+    - a ratio vs. speed scatter plot for every codec, and a peak memory vs. image size one when the report has memory figures
+    - a sortable, filterable table with one row per image, with a thumbnail of the image from the img/ testbed
+Rows where a codec beats the baseline (the first codec) by more than the threshold, or loses to it by more
+than the threshold, are highlighted.
+
+Usage: node index.js report --format=html [--output=report.html] [--threshold=5] [--no-thumbnails] [--jobs=N]
+ */
+
+const path = require("path");
+const fs = require("fs");
+const gm = require("gm");
+
+const { createScheduler } = require("./scheduler.js");
+
+
+const thumbnailSize = 64;
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const isNumber = value => typeof value === "number" && isFinite(value);
+const fixed = (value, digits) => isNumber(value) ? value.toFixed(digits) : "-";
+const mbPerSecond = value => isNumber(value) ? (value / 1e6).toFixed(2) : "-";
+
+// Small PNG of an image of the testbed, as a data: URI. Images gm can't read just get no thumbnail.
+const thumbnail = (imgFolder, filename) => new Promise(resolve => {
+    const file = path.join(imgFolder, filename);
+    if (!fs.existsSync(file)) return resolve(null);
+    gm(`${file}[0]`).thumbnail(thumbnailSize, thumbnailSize).toBuffer("PNG", (err, buffer) =>
+        resolve(err ? null : `data:image/png;base64,${buffer.toString("base64")}`));
+});
+
+// Size difference of a codec against the baseline, in percent. Negative means the codec is smaller.
+const sizeDelta = (entry, name, baseline) => {
+    const [size, base] = [entry[`cSize${name}`], entry[`cSize${baseline}`]];
+    return isNumber(size) && isNumber(base) && base > 0 ? (size - base) / base * 100 : null;
+}
+
+// Round numbers for the axis of a chart
+const niceTicks = (max, count = 5) => {
+    if (!(max > 0)) return [0, 1];
+    const rough = max / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const ticks = [];
+    for (let tick = 0; tick < max + step; tick += step) ticks.push(Number(tick.toPrecision(12)));
+    return ticks;
+}
+
+// One point per image. The axes take the value of an image for the codec (null when there is none).
+const scatterPlot = (images, name, { x, y, xLabel, yLabel, describe }) => {
+    const points = images
+        .map(entry => ({ x: x(entry, name), y: y(entry, name), label: entry.filename }))
+        .filter(point => isNumber(point.x) && isNumber(point.y));
+    const [width, height, margin] = [420, 300, 45];
+    const xTicks = niceTicks(Math.max(0, ...points.map(p => p.x)));
+    const yTicks = niceTicks(Math.max(0, ...points.map(p => p.y)));
+    const xMax = xTicks[xTicks.length - 1];
+    const yMax = yTicks[yTicks.length - 1];
+    const sx = x => margin + x / xMax * (width - 2 * margin);
+    const sy = y => height - margin - y / yMax * (height - 2 * margin);
+
+    const axes = [
+        `<line x1="${sx(0)}" y1="${sy(0)}" x2="${sx(xMax)}" y2="${sy(0)}" class="axis"/>`,
+        `<line x1="${sx(0)}" y1="${sy(0)}" x2="${sx(0)}" y2="${sy(yMax)}" class="axis"/>`,
+        ...xTicks.map(t => `<text x="${sx(t)}" y="${sy(0) + 15}" text-anchor="middle">${t}</text>`),
+        ...yTicks.map(t => `<text x="${sx(0) - 5}" y="${sy(t) + 4}" text-anchor="end">${t}</text>`),
+        `<text x="${width / 2}" y="${height - 8}" text-anchor="middle">${escapeHtml(xLabel)}</text>`,
+        `<text x="12" y="${height / 2}" text-anchor="middle" transform="rotate(-90 12 ${height / 2})">${escapeHtml(yLabel)}</text>`
+    ];
+    const dots = points.map(p =>
+        `<circle cx="${sx(p.x).toFixed(1)}" cy="${sy(p.y).toFixed(1)}" r="3"><title>${escapeHtml(p.label)}: ${escapeHtml(describe(p))}</title></circle>`);
+    return `<figure><svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${axes.join("")}${dots.join("")}</svg>` +
+        `<figcaption>${escapeHtml(name)} (${points.length} images)</figcaption></figure>`;
+}
+
+// Compression ratio (compressed size to PPM size) against compression speed
+const ratioVsSpeed = {
+    x: (entry, name) => isNumber(entry[`cSpeed${name}`]) ? entry[`cSpeed${name}`] / 1e6 : null,
+    y: (entry, name) => entry[`cRatioPPM${name}`],
+    xLabel: "compression speed (MB/s)",
+    yLabel: "compressed / PPM (%)",
+    describe: p => `${p.y.toFixed(2)}%, ${p.x.toFixed(2)} MB/s`
+};
+
+// Peak memory of the codec (the higher of compression and decompression) against the size of the image
+const peakRss = (entry, name) => {
+    const peaks = [entry[`cPeakRss${name}`], entry[`dPeakRss${name}`]].filter(isNumber);
+    return peaks.length ? Math.max(...peaks) / 1048576 : null;
+}
+const memoryVsSize = {
+    x: entry => isNumber(entry.width * entry.height) ? entry.width * entry.height / 1e6 : null,
+    y: peakRss,
+    xLabel: "image size (megapixels)",
+    yLabel: "peak memory (MB)",
+    describe: p => `${p.y.toFixed(1)} MB, ${p.x.toFixed(2)} MP`
+};
+
+const summaryTable = (summary, codecs) => {
+    if (!summary) return "";
+    const rows = codecs.map(name => {
+        const figures = summary.overall.codecs[name];
+        return `<tr><td>${escapeHtml(name)}</td><td>${figures.images}</td><td>${figures.totalCompressed}</td>` +
+            `<td>${fixed(figures.bpp, 3)}</td><td>${fixed(figures.geoMeanRatioPPM, 2)}</td>` +
+            `<td>${mbPerSecond(figures.cTotalSpeed)}</td><td>${mbPerSecond(figures.dTotalSpeed)}</td><td>${figures.wins}</td></tr>`;
+    });
+    return `<h2>Summary</h2><table><thead><tr><th>codec</th><th>images</th><th>compressed bytes</th><th>bpp</th>` +
+        `<th>ratio % (geo mean)</th><th>compression MB/s</th><th>decompression MB/s</th><th>wins</th></tr></thead>` +
+        `<tbody>${rows.join("")}</tbody></table>`;
+}
+
+// How the compressed size changes under the lossless variants of the images (bench --variants)
+const variantTable = (summary, codecs) => {
+    if (!summary || !summary.variants) return "";
+    const variants = [...new Set(codecs.flatMap(name => Object.keys(summary.variants[name].byVariant)))].sort();
+    const rows = codecs.map(name => {
+        const { images, meanSpread, widest, byVariant } = summary.variants[name];
+        const changes = variants.map(variant => byVariant[variant] ?
+            `<td title="${fixed(byVariant[variant].minChange, 2)} to ${fixed(byVariant[variant].maxChange, 2)}">${fixed(byVariant[variant].meanChange, 2)}</td>` : "<td>-</td>");
+        return `<tr><td>${escapeHtml(name)}</td><td>${images}</td><td>${fixed(meanSpread, 2)}</td>` +
+            `<td>${widest ? `${escapeHtml(widest.filename)} (${fixed(widest.spread, 2)})` : "-"}</td>${changes.join("")}</tr>`;
+    });
+    return `<h2>Variants</h2><p>Change of the bits per pixel of every variant against the image, in % (mean; hover for the range). ` +
+        `The spread of an image is the highest minus the lowest bpp among the image and its variants.</p>` +
+        `<table><thead><tr><th>codec</th><th>images</th><th>mean spread %</th><th>widest spread %</th>` +
+        `${variants.map(variant => `<th>${escapeHtml(variant)} %</th>`).join("")}</tr></thead><tbody>${rows.join("")}</tbody></table>`;
+}
+
+// A table cell with the raw value kept aside for sorting
+const cell = (text, sortValue = text) =>
+    `<td data-sort="${escapeHtml(isNumber(sortValue) ? sortValue : sortValue === null ? "" : sortValue)}">${escapeHtml(text)}</td>`;
+
+const imageTable = (images, codecs, threshold, thumbnails) => {
+    const baseline = codecs[0];
+    const headers = ["", "file", "format", "size", "kind", "PPM bytes"];
+    codecs.forEach(name => headers.push(`${name} bytes`, `${name} %`, `${name} bpp`, `${name} c MB/s`, `${name} d MB/s`, `${name} ok`));
+    codecs.slice(1).forEach(name => headers.push(`${name} vs ${baseline} %`));
+
+    const rows = images.map((entry, index) => {
+        const pixels = entry.width * entry.height;
+        const cells = [
+            thumbnails[index] ? `<td><img src="${thumbnails[index]}" alt=""></td>` : "<td></td>",
+            cell(entry.variant ? `${entry.filename} (${entry.variant})` : entry.filename),
+            cell(path.extname(entry.filename).toLowerCase()),
+            cell(isNumber(pixels) ? `${entry.width}×${entry.height}` : "-", isNumber(pixels) ? pixels : null),
+            cell(entry.kind || "-"),
+            cell(isNumber(entry.ppmSize) ? entry.ppmSize : "-", isNumber(entry.ppmSize) ? entry.ppmSize : null)
+        ];
+        codecs.forEach(name => {
+            const size = entry[`cSize${name}`];
+            cells.push(
+                cell(isNumber(size) ? size : "-", isNumber(size) ? size : null),
+                cell(fixed(entry[`cRatioPPM${name}`], 2), entry[`cRatioPPM${name}`]),
+                cell(isNumber(size) && pixels ? (size * 8 / pixels).toFixed(3) : "-", isNumber(size) && pixels ? size * 8 / pixels : null),
+                cell(mbPerSecond(entry[`cSpeed${name}`]), entry[`cSpeed${name}`]),
+                cell(mbPerSecond(entry[`dSpeed${name}`]), entry[`dSpeed${name}`]),
+                // Failed images show what went wrong instead of ✗
+                cell(entry[`status${name}`] && entry[`status${name}`] !== "ok" ? entry[`status${name}`] : entry[`isIdentical${name}`] || "-")
+            );
+        });
+        // Highlight the rows where a codec is clearly better or worse than the baseline
+        let highlight = "";
+        codecs.slice(1).forEach(name => {
+            const delta = sizeDelta(entry, name, baseline);
+            cells.push(cell(fixed(delta, 2), delta));
+            if (isNumber(delta) && Math.abs(delta) > threshold) highlight = delta < 0 ? "better" : "worse";
+        });
+        if (codecs.some(name => entry[`isIdentical${name}`] === "✗")) highlight = "failed";
+        return `<tr${highlight ? ` class="${highlight}"` : ""}>${cells.join("")}</tr>`;
+    });
+
+    return `<h2>Images</h2><p><input id="filter" type="search" placeholder="Filter rows…"> ` +
+        `<span class="legend better">beats ${escapeHtml(baseline)} by more than ${threshold}%</span> ` +
+        `<span class="legend worse">loses to ${escapeHtml(baseline)} by more than ${threshold}%</span> ` +
+        `<span class="legend failed">failed (crash, timeout, bad output or round trip)</span></p>` +
+        `<table id="images"><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>` +
+        `<tbody>${rows.join("\n")}</tbody></table>`;
+}
+
+const style = `
+body { font-family: sans-serif; margin: 1em 2em; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { border: 1px solid #ccc; padding: 2px 6px; text-align: right; }
+td:nth-child(2) { text-align: left; }
+#images th { cursor: pointer; background: #eee; position: sticky; top: 0; }
+tr.better, .legend.better { background: #d8f5d0; }
+tr.worse, .legend.worse { background: #f9dcdc; }
+tr.failed, .legend.failed { background: #f5b7b7; }
+.legend { padding: 2px 6px; }
+figure { display: inline-block; margin: 0 1em 1em 0; }
+svg { font-size: 10px; }
+svg .axis { stroke: #333; }
+svg circle { fill: steelblue; fill-opacity: 0.6; }
+`;
+
+// Sorting by column and filtering, without any library
+const script = `
+const table = document.getElementById("images");
+const body = table.tBodies[0];
+table.tHead.querySelectorAll("th").forEach((th, column) => th.addEventListener("click", () => {
+    const ascending = th.dataset.order !== "asc";
+    table.tHead.querySelectorAll("th").forEach(other => delete other.dataset.order);
+    th.dataset.order = ascending ? "asc" : "desc";
+    const value = row => row.cells[column].dataset.sort || "";
+    const rows = [...body.rows].sort((a, b) => {
+        const [x, y] = [value(a), value(b)];
+        if (x === "" || y === "") return (x === "") - (y === "");
+        const order = isNaN(x) || isNaN(y) ? x.localeCompare(y) : x - y;
+        return ascending ? order : -order;
+    });
+    rows.forEach(row => body.appendChild(row));
+}));
+document.getElementById("filter").addEventListener("input", event => {
+    const text = event.target.value.toLowerCase();
+    [...body.rows].forEach(row => row.hidden = !row.textContent.toLowerCase().includes(text));
+});
+`;
+
+// Thumbnails of the images, made `jobs` at a time. Variants share the file of their image, so every file of the
+// testbed is only made into a thumbnail once.
+const makeThumbnails = async (images, imgFolder, jobs) => {
+    // Reports made before the testbed was named after the content have the file under its own name
+    const files = images.map(entry => entry.testbedFile || entry.filename);
+    const unique = [...new Set(files)];
+    const pictures = await createScheduler(jobs).map(unique, filename => thumbnail(imgFolder, filename));
+    const byFile = new Map(unique.map((filename, index) => [filename, pictures[index]]));
+    return files.map(filename => byFile.get(filename));
+}
+
+// imgFolder is the testbed the thumbnails are made from
+const renderHtml = async (report, { threshold = 5, thumbnails = true, imgFolder, jobs } = {}) => {
+    const { summary, images, codecs } = report;
+    const pictures = thumbnails ? await makeThumbnails(images, imgFolder, jobs) : [];
+    // Reports made without process accounting have no memory figures
+    const hasMemory = images.some(entry => codecs.some(name => isNumber(peakRss(entry, name))));
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Lea-Tester report</title>
+<style>${style}</style>
+</head>
+<body>
+<h1>Lea-Tester report</h1>
+<p>${images.length} images, codecs: ${codecs.map(escapeHtml).join(", ")}. Generated ${new Date().toISOString()}.</p>
+${summaryTable(summary, codecs)}
+${variantTable(summary, codecs)}
+<h2>Compression ratio vs. speed</h2>
+${codecs.map(name => scatterPlot(images, name, ratioVsSpeed)).join("\n")}
+${hasMemory ? `<h2>Peak memory vs. image size</h2>\n${codecs.map(name => scatterPlot(images, name, memoryVsSize)).join("\n")}` : ""}
+${imageTable(images, codecs, threshold, pictures)}
+<script>${script}</script>
+</body>
+</html>
+`;
+}
+
+
+module.exports = {
+    renderHtml
+}
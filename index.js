@@ -1,370 +1,280 @@
 /* 
-This program will test the Lea image compression program on all the images in the specified folder.
-It will perform the following:
-    1. Read the previous report if there is one (results.json)
-    2. Find all the files in the folder received as a parameter
-    3. For each file, find its size and sha256, and store them in an array of objects
-    4. Based on the size and sha256, deduplicate entries on the file list
-    5. For each file that is not already a PPM file, try to convert it to PPM using gm (GraphicsMagick)
-    6. For each vailid PPM file, compress it using the Lea program, versions 0.4 and 0.5 (bin/v0.4/clea.exe and bin/v0.5/clea.exe), and calculate the time taken
-    7. For each file, calculate the size of the compressed file and the ratio of the compressed file to the original file
-    8. For each compressed file, restore the original file using the Lea program, versions 0.4 and 0.5 (bin/v0.4/dlea.exe and bin/v0.5/dlea.exe), and calculate the time taken
-    9. For each restored file, check if it is identical to the original file
-    10. Save everything in a report. It is an array of objects, each object containing the following:
-        - file name
-        - original file size
-        - original file sha256
-        - PPM converted image size
-        - PPM converted image sha256
-        - compressed file size for version 0.4
-        - compressed file size for version 0.5
-        - is the restored file identical to the original file?
-        - difference between compressed file size for version 0.4 and version 0.5
-        - ratio of compressed file size to original file size for version 0.4
-        - ratio of compressed file size to original file size for version 0.5
-        - ratio of compressed file size to PPM file size for version 0.4
-        - ratio of compressed file size to PPM file size for version 0.5
-        - difference between ratio to original file for version 0.4 and version 0.5
-        - difference between ratio to PPM file for version 0.4 and version 0.5
-        - time taken to compress the file for version 0.4
-        - time taken to compress the file for version 0.5
-        - compression speed for version 0.4 in kb/s
-        - compression speed for version 0.5 in kb/s
-        - difference between time taken to compress the file for version 0.4 and version 0.5
-        - time taken to decompress the file for version 0.4
-        - time taken to decompress the file for version 0.5
-        - difference between time taken to decompress the file for version 0.4 and version 0.5
-        - time taken to compress and decompress the file for version 0.4
-        - time taken to compress and decompress the file for version 0.5
-        - difference between time taken to compress and decompress the file for version 0.4 and version 0.5
-        The object structure is as follows:
-            {
-                "filename": "filename.jpg",
-                "originalSize": 12345,
-                "originalsha256": "1234567890",
-                "ppmSize": 123456,
-                "ppmsha256": "1234567899",
-                "cSize0.4": 123456,
-                "cSize0.5": 123456,
-                "isIdentical": ✓ or ✗,
-                "cSizeDiff": 123456 or -123456,
-                "cRatio0.4": 123456,
-                "cRatio0.5": 123456,
-                "cRatioPPM0.4": 123456,
-                "cRatioPPM0.5": 123456,
-                "cRatioDiff": 123456 or -123456,
-                "cRatioPPMDiff": 123456 or -123456,
-                "cTime0.4": 123456,
-                "cTime0.5": 123456,
-                "cSpeed0.4": 123456,
-                "cSpeed0.5": 123456,
-                "cTimeDiff": 123456 or -123456,
-                "dTime0.4": 123456,
-                "dTime0.5": 123456,
-                "dTimeDiff": 123456 or -123456,
-                "roundTripTime0.4": 123456,
-                "roundTripTime0.5": 123456,
-                "roundTripTimeDiff": 123456 or -123456
-            }
-    11. Save the report in a JSON file (results.json)
+Lea-Tester: tests the Lea image compression program (or any other codec) on a folder of images.
+
+Usage: node index.js <command> [arguments] [options]
+Commands:
+    scan [folder]         list the images of the folder that would be tested
+    normalize [folder]    copy the images to the testbed (img/) and convert them to PPM/PGM
+    bench [folder]        benchmark every codec on the images and write the report (results.json). This is the
+                          default command, so "node index.js folder" still works
+    watch [folder]        benchmark the folder again whenever new images or new Lea builds (bin/<version>/) appear
+    verify [folder]       check that every codec restores every image identically, without timing anything
+    report                turn results.json into an HTML page, or a CSV, Markdown or BBCode table
+    compare <baseline>    compare results.json against a baseline report, and exit with code 1 on regressions
+    generate <corpus>     write a reproducible corpus of synthetic edge-case images (1x1, noise, strips, maxval...)
+Every command has a --help option listing its options. Options can also be set in lea-tester.config.json
+(or the file given with --config=FILE): keys are option names, and a key named after a command holds the
+options of that command only. "corpus" is the folder to scan. For example:
+    {
+        "corpus": "../images",
+        "codecs": ["0.4", "0.5"],
+        "exclude": ["thumbs/**", "*.svg"],
+        "bench": { "runs": 5, "serial-timing": true }
+    }
+See bench.js for what a benchmark does and the structure of the report.
+
 To run the test, you need to have the following programs installed:
     - gm (GraphicsMagick)
-    - clea (Lea version 0.4 - included in ./bin/v0.4/)
-    - dlea (Lea version 0.5 - included in ./bin/v0.5/)
-    - wine (if you are using anything but Windows)
+    - the codecs listed in codecs.json (Lea versions 0.4 and 0.5 are included in ./bin/)
+    - whatever runs the codecs you select: wine for Windows builds on anything but Windows, or the program
+      of a custom runner (a wrapper script, docker, podman...)
+    - optionally, on Linux, GNU time (the "time" package, not the shell keyword) for the peak memory and the CPU
+      time of the codecs. Without it, bench and watch warn and the report has no memory figures
+Each entry of codecs.json has a name, a compress and a decompress command template ({input} and {output}
+are replaced by the file paths), the extension of the compressed files and a runner: "native" (the default),
+"wine", or { "prefix": "command" } to launch the codec through a wrapper or a container. For example:
+    { "name": "0.5-linux", "compress": "bin/v0.5b/clea {input} {output}", "decompress": "bin/v0.5b/dlea {input} {output}",
+      "extension": ".lea5", "runner": "native" }
+    { "name": "0.5-docker", "compress": "clea {input} {output}", "decompress": "dlea {input} {output}",
+      "extension": ".lea5", "runner": { "prefix": "docker run --rm -v /home/me/lea:/home/me/lea lea:0.5" } }
+A container must see the files at the same paths, so mount the --out folder as it is.
  */
 
 // Import the required modules
-const { getAllFiles } = require("./utils.js") // Traverse the folder and returns all the files recursively
+const { scanFolder, getAllFiles, outputPaths, defaultPolicy } = require("./utils.js") // Traverse the folder and returns all the files recursively
+const { defaultConfig } = require("./codecs.js") // The codec registry
+const { missingRunners, haveAccounting } = require("./runner.js")
+const { cpuCount, createScheduler } = require("./scheduler.js") // Runs the jobs in parallel
+const { bench, verify, codecsFor } = require("./bench.js")
+const { variantNames, defaultTiles } = require("./variants.js")
+const { readReport } = require("./report.js")
+const { renderHtml } = require("./htmlReport.js")
+const { exportReport, formats } = require("./exporters.js")
+const { compareReports, printComparison } = require("./compare.js")
+const { caseNames, generateCorpus } = require("./generate.js")
+const { watch } = require("./watch.js")
+const { UsageError, parseArgs, helpText } = require("./cli.js")
 const fs = require("fs")
-const { execSync } = require("child_process")
+const { execFileSync } = require("child_process")
 const path = require("path")
-const progressBar = require('progress-barjs')
-const sha256File = require('sha256-file'); // https://www.npmjs.com/package/sha256-file
-const gm = require("gm") // GraphicsMagick
 
 
-// Checks
-const isWindows = process.platform === "win32"
-const gmBin = isWindows ? "gm.exe" : "gm"
-const haveGm = execSync(`${gmBin} version`, (err) => {
-    if (err) {
+// Probe the system and find out if I have my dependencies: gm, and whatever launches the codecs we are going to run
+// With `accounting`, also warn when the memory and CPU time of the codecs can't be measured
+const checkDependencies = (codecs = [], { accounting = false } = {}) => {
+    const gmBin = process.platform === "win32" ? "gm.exe" : "gm"
+    const haveGm = (() => {
+        try {
+            execFileSync(gmBin, ["version"], { stdio: "ignore" })
+            return true
+        }
+        catch (err) { return false }
+    })()
+    if (!haveGm) {
         console.log(`Error: ${gmBin} is not in my path.`)
-        return false
+        console.log("Error: I need GraphicsMagick to run. You can find it here: https://www.graphicsmagick.org/")
+        process.exit(2)
     }
-    return true
-})
-const haveWine = isWindows ? false : execSync(`wine --version`, (err) => {
-    if (err) {
-        console.log(`Error: wine is not in my path.`)
-        return false
+    const missing = missingRunners(codecs)
+    missing.forEach(({ program, codecs }) => {
+        console.log(`Error: ${program} is not in my path. Codec(s) ${codecs.join(", ")} need it to run.`)
+        if (program === "wine") console.log("Error: I need WINE to run Windows codecs on *nix. You can find it here: https://www.winehq.org/")
+    })
+    if (missing.length) process.exit(2)
+    if (accounting && process.platform === "linux" && !haveAccounting) {
+        console.log("Warning: GNU time is not in my path, so the report won't have the peak memory and CPU time of the codecs.")
+        console.log("Warning: it is in the \"time\" package of most distributions (the time keyword of the shell won't do).")
     }
-    return true
-})
-
-
-// Lea binaries
-const lea0_4_comp = path.join(__dirname, "bin", "v0.4", "clea.exe")
-const lea0_5_comp = path.join(__dirname, "bin", "v0.5b", "clea.exe")
-const lea0_4_decomp = path.join(__dirname, "bin", "v0.4", "dlea.exe")
-const lea0_5_decomp = path.join(__dirname, "bin", "v0.5b", "dlea.exe")
-
-const dir = process.argv[2] || "./" // The folder to scan
-const imgFolder = path.join(__dirname, "img") // The images tested will be copied here
-const tempFolder = path.join(__dirname, "tmp") // The folder to store the temporary files (PPM and compressed files for both versions)
-const reportFile = path.join(__dirname, "results.json")
-
-
-// Probe the system and find out if I have my dependencies
-if (!haveGm) {
-    console.log("Error: I need GraphicsMagick to run. You can find it here: https://www.graphicsmagick.org/")
-    process.exit(2)
-}
-if (!isWindows && !haveWine) {
-    console.log("Error: I need WINE to run on *nix. You can find it here: https://www.winehq.org/")
-    process.exit(2)
 }
 
-
-const processEverything = async () => {
-
-    const report = []
-    const allFiles = getAllFiles(dir)
-
-    // console.log(`Found ${allFiles.length} images.`);
-    // console.table(allFiles[0]);
-
-    // Función auxiliar para ejecutar de manera sincrónica un comando externo
-    // Luego se ejecutará el comando 3 veces para cada archivo
-    // Para cada una se controla el tiempo de ejecución y se guarda el menor valor
-    const runSync = (comand) => {
-        try {
-            const start = Date.now()
-            const result = execSync(comand, { encoding: "utf8" })
-            const end = Date.now()
-            const time = end - start
-            return {
-                time,
-                result
-            }
+// Options shared by the commands
+const outOption = { name: "out", type: "string", path: true, placeholder: "DIR", default: __dirname,
+    description: "folder for the testbed (img/), the temporary files (tmp/), the quarantine and results.json" }
+const reportOption = { name: "report", type: "string", path: true, placeholder: "FILE", description: "report to read (default: results.json in --out)" }
+const corpusOptions = [
+    { name: "include", type: "list", placeholder: "GLOB,...", description: "only use the files matching one of these globs, relative to the folder (e.g. **/*.png)" },
+    { name: "exclude", type: "list", placeholder: "GLOB,...", description: "skip the files matching one of these globs" },
+    { name: "limit", type: "number", placeholder: "N", min: 1, hint: "must be a positive number", description: "only use the first N images" },
+    { name: "sample", type: "number", placeholder: "N", min: 1, hint: "must be a positive number", description: "use a random sample of N images" },
+    { name: "seed", type: "number", placeholder: "N", default: 1, description: "seed of the random sample, to get the same sample again" },
+    { name: "hidden", type: "boolean", default: false, description: "also scan hidden files and folders (names starting with a dot)" }
+]
+const jobsOption = { name: "jobs", type: "number", placeholder: "N", default: cpuCount, min: 1, hint: "must be a positive number", description: "run N jobs at the same time" }
+const normalizeOptions = [
+    jobsOption,
+    { name: "alpha", type: "string", placeholder: "drop|skip", default: defaultPolicy.alpha, choices: ["drop", "skip"], hint: "must be drop or skip",
+        description: "what to do with images that have an alpha channel" },
+    { name: "frames", type: "string", placeholder: "first|skip", default: defaultPolicy.frames, choices: ["first", "skip"], hint: "must be first or skip",
+        description: "what to do with images that have more than one frame" },
+    { name: "deep", type: "string", placeholder: "reduce|keep|skip", default: defaultPolicy.deep, choices: ["reduce", "keep", "skip"], hint: "must be reduce, keep or skip",
+        description: "what to do with images that have more than 8 bits per sample" }
+]
+const codecOptions = [
+    { name: "timeout", type: "number", placeholder: "SECONDS", default: 600, min: 0, hint: "must be zero or more",
+        description: "kill a codec call that runs longer than this, and count it as failed (0 for no limit)" },
+    { name: "codecs", type: "list", placeholder: "NAME,...", description: "only test these codecs of the registry (all of them by default)" },
+    { name: "registry", type: "string", path: true, placeholder: "FILE", default: defaultConfig, description: "codec registry" }
+]
+
+const benchOptions = [outOption, ...codecOptions, ...corpusOptions, ...normalizeOptions,
+    { name: "force", type: "list", allowAll: true, placeholder: "NAME,...", default: [], description: "benchmark these codecs again even if the report has their results (every codec when no name is given)" },
+    { name: "serial-timing", type: "boolean", default: false, description: "run the timed codec calls one at a time, for exact timing" },
+    { name: "warmup", type: "number", placeholder: "N", default: 1, min: 0, hint: "must be zero or more", description: "run every codec call N times before measuring it" },
+    { name: "runs", type: "number", placeholder: "N", default: 3, min: 1, hint: "must be a positive number", description: "measure every codec call N times" },
+    { name: "variants", type: "list", allowAll: true, placeholder: "NAME,...", default: [],
+        description: `also benchmark lossless variants of every image: ${variantNames.join(", ")} (all of them when no name is given)` },
+    { name: "tiles", type: "list", placeholder: "N,...", default: defaultTiles, description: "sides of the square tiles of the crop variant, in pixels" }
+]
+
+const commands = [
+    {
+        name: "scan",
+        description: "List the images of the folder that would be tested, after deduplication and --include, --exclude, --limit or --sample.",
+        positional: "folder",
+        options: [outOption, ...corpusOptions],
+        run: options => {
+            const files = scanFolder(options.folder, { ...options, index: outputPaths(path.resolve(options.out)).index })
+            files.forEach(file => console.log(`${file.filename}\t${file.originalSize}`))
+            console.log(`${files.length} image(s), ${files.reduce((total, file) => total + file.originalSize, 0)} bytes`)
         }
-        catch (err) {
-            console.warn(`Something went wrong while running command ${comand}`)
-            return {
-                time: -1,
-                result: err
-            }
+    },
+    {
+        name: "normalize",
+        description: "Copy the images of the folder to the testbed and convert them to PPM (PGM for greyscale images).",
+        positional: "folder",
+        options: [outOption, ...corpusOptions, ...normalizeOptions],
+        run: async options => {
+            checkDependencies()
+            const paths = outputPaths(path.resolve(options.out))
+            const policy = { alpha: options.alpha, frames: options.frames, deep: options.deep }
+            const files = await getAllFiles(options.folder, { scheduler: createScheduler(options.jobs), policy, paths, selection: options })
+            const failed = files.filter(file => file.normalizeError)
+            console.log(`\n${files.length - failed.length} image(s) normalized in ${paths.ppm}`)
+            failed.forEach(file => console.log(`  ${file.filename}: ${file.normalizeError}`))
         }
-    }
-
-
-    // Comprimimos con Lea 0.4
-    const progressBarOptionsC04 = {
-        total: allFiles.length,
-        label: '  Compressing with Lea 0.4 ',
-        show: {
-            overwrite: true,
-            bar: {
-                length: 50,
-                completed: '—',
-                incompleted: '|',
-            },
-        },
-    }
-    const barC04 = progressBar(progressBarOptionsC04)
-    allFiles.forEach(async file => {
-        barC04.tick('')
-        const input = `"${file.ppmFile}"`
-        const outputV4 = path.join(__dirname, "tmp", "lea4", `"${file.filename}.ppm.lea4"`)
-
-        // Ejecutamos el comando para comprimir 3 veces
-        const times = []
-        for (let i = 0; i < 3; i++) {
-            const { time, result } = runSync(
-                `${!isWindows ? "WINEDEBUG=-all wine" : ""} ${lea0_4_comp} ${input} ${outputV4} ${!isWindows ? "2>/dev/null" : ""}`
-            )
-            times.push(time)
-        }
-
-        // Calculamos el tiempo mínimo y lo guardamos en el reporte
-        const minTime = Math.min(...times)
-        const ppmSize = file.ppmSize
-        const originalSize = file.originalSize
-        // Get the size of uotputV4 using the command `du -b ${outputV4} | cut -f1` if we are on Linux, or `wc -c ${outputV4}` if we are on Windows
-        const compressedSize = isWindows ?
-            execSync(`wc -c ${outputV4}`, { encoding: "utf8" }).split(" ")[0] :
-            // We need to trim the last two characters from the following output and convert it to number
-            parseInt(execSync(`du -b ${outputV4} | cut -f1`, { encoding: "utf8" }).slice(0, -1))
-
-        report.push({
-            ...file,
-            "cTime0.4": minTime,
-            "cSpeed0.4": ppmSize / (minTime / 1000), // Speed in bytes per second
-            "cSize0.4": compressedSize,
-            "cRatio0.4": compressedSize / originalSize * 100,
-            "cRatioPPM0.4": compressedSize / ppmSize * 100,
-        })
-    })
-
-    // Comprimimos con Lea 0.5
-    const progressBarOptionsC05 = {
-        total: allFiles.length,
-        label: '  Compressing with Lea 0.5 ',
-        show: {
-            overwrite: true,
-            bar: {
-                length: 50,
-                completed: '—',
-                incompleted: '|',
-            },
-        },
-    }
-    const barC05 = progressBar(progressBarOptionsC05)
-    allFiles.forEach(async file => {
-        barC05.tick('')
-        const input = `"${file.ppmFile}"`
-        const outputV5 = path.join(__dirname, "tmp", "lea5", `"${file.filename}.ppm.lea5"`)
-
-        // Ejecutamos el comando para comprimir 3 veces
-        const times = []
-        for (let i = 0; i < 3; i++) {
-            const { time, result } = runSync(
-                `${!isWindows ? "WINEDEBUG=-all wine" : ""} ${lea0_5_comp} ${input} ${outputV5} ${!isWindows ? "2>/dev/null" : ""}`
-            )
-            times.push(time)
+    },
+    {
+        name: "bench",
+        description: "Benchmark every codec on the images of the folder and write the report. Results of images and codecs that haven't changed are reused from the previous report.",
+        positional: "folder",
+        options: benchOptions,
+        run: options => {
+            checkDependencies(codecsFor(options), { accounting: true })
+            return bench(options)
         }
-
-        // Calculamos el tiempo mínimo y lo guardamos en el reporte
-        const minTime = Math.min(...times)
-        const ppmSize = file.ppmSize
-        const originalSize = file.originalSize
-        // Get the size of uotputV5 using the command `du -b ${outputV5} | cut -f1` if we are on Linux, or `wc -c ${outputV5}` if we are on Windows
-        const compressedSize = isWindows ?
-            execSync(`wc -c ${outputV5}`, { encoding: "utf8" }).split(" ")[0] :
-            // We need to trim the last two characters from the following output and convert it to number
-            parseInt(execSync(`du -b ${outputV5} | cut -f1`, { encoding: "utf8" }).slice(0, -1))
-
-        // We need to find on the report the file with the same name as the one we are processing so we can add the new data for V5
-        const index = report.findIndex(reportFile => file.originalsha256 === reportFile.originalsha256)
-        const cRatio = compressedSize / originalSize * 100
-        report[index] = {
-            ...report[index],
-            "cTime0.5": minTime,
-            "cSpeed0.5": ppmSize / (minTime / 1000), // Speed in bytes per second
-            "cSize0.5": compressedSize,
-            "cRatio0.5": cRatio,
-            "cRatioPPM0.5": compressedSize / ppmSize * 100,
-            "cTimeDiff": minTime - report[index]["cTime0.4"], // positive if Lea 0.4 is faster
-            "cRatioDiff": cRatio - report[index]["cRatio0.4"], // positive if Lea 0.4 is better
+    },
+    {
+        name: "watch",
+        description: "Benchmark the folder, then again every time new images, or new Lea builds in bin/<version>/, appear. Only the new combinations are benchmarked, and the report is updated in place. New builds are added to the registry file.",
+        positional: "folder",
+        options: [...benchOptions,
+            { name: "interval", type: "number", placeholder: "SECONDS", default: 30, min: 1, hint: "must be a positive number", description: "look for new images and builds this often" },
+            { name: "threshold", type: "number", placeholder: "PERCENT", default: 1, min: 0, hint: "must be zero or more", description: "an image compressing worse than with the best older codec by more than this is a regression" }
+        ],
+        run: options => {
+            checkDependencies(codecsFor(options), { accounting: true })
+            return watch(options)
         }
-    })
-
-    // Restauramos los archivos originales con Lea 0.4
-    const progressBarOptionsR04 = {
-        total: allFiles.length,
-        label: 'Decompressing with Lea 0.4 ',
-        show: {
-            overwrite: true,
-            bar: {
-                length: 50,
-                completed: '—',
-                incompleted: '|',
-            },
-        },
-    }
-    const barR04 = progressBar(progressBarOptionsR04)
-
-    allFiles.forEach(async file => {
-        barR04.tick('')
-        const input = path.join(__dirname, "tmp", "lea4", `"${file.filename}.ppm.lea4"`)
-        const output = path.join(__dirname, "tmp", "restored4", `"${file.filename}.ppm.restored"`)
-
-        // Ejecutamos el comando para descomprimir 3 veces
-        const times = []
-        for (let i = 0; i < 3; i++) {
-            const { time, result } = runSync(
-                `${!isWindows ? "WINEDEBUG=-all wine" : ""} ${lea0_4_decomp} ${input} ${output} ${!isWindows ? "2>/dev/null" : ""}`
-            )
-            times.push(time)
+    },
+    {
+        name: "verify",
+        description: "Compress and restore every image once with every codec, and check that the restored images are identical. Failures are kept in the quarantine folder.",
+        positional: "folder",
+        options: [outOption, ...codecOptions, ...corpusOptions, ...normalizeOptions],
+        run: options => {
+            checkDependencies(codecsFor(options))
+            return verify(options)
         }
-
-        // Calculamos el tiempo mínimo y lo guardamos en el reporte
-        const minTime = Math.min(...times)
-        // Get the size of uotput using the command `du -b ${output} | cut -f1` if we are on Linux, or `wc -c ${output}` if we are on Windows
-        const decompressedSize = isWindows ?
-            execSync(`wc -c ${output}`, { encoding: "utf8" }).split(" ")[0] :
-            // We need to trim the last two characters from the following output and convert it to number
-            parseInt(execSync(`du -b ${output} | cut -f1`, { encoding: "utf8" }).slice(0, -1))
-
-        // We need to find on the report the file with the same name as the one we are processing so we can add the new data for V4
-        const index = report.findIndex(reportFile => file.originalsha256 === reportFile.originalsha256)
-        report[index] = {
-            ...report[index],
-            "dTime0.4": minTime,
-            "dSpeed0.4": decompressedSize / (minTime / 1000), // Speed in bytes per second
-            // Compression time plus decompression time
-            "roundTrip0.4": report[index]["cTime0.4"] + minTime,
-            // "isIdentical0.4": report[index].ppmsha256 === sha256File(output) ? "✓" : "✗",
+    },
+    {
+        name: "report",
+        description: "Turn the report into a self-contained HTML page, or a CSV, Markdown or BBCode table.",
+        options: [outOption, reportOption,
+            { name: "format", type: "string", placeholder: ["html", ...formats].join("|"), default: "html", choices: ["html", ...formats],
+                hint: `must be one of ${["html", ...formats].join(", ")}`, description: "what to write" },
+            { name: "output", type: "string", path: true, placeholder: "FILE", description: "file to write (default: report.html in --out for html, the standard output for the rest)" },
+            { name: "threshold", type: "number", placeholder: "PERCENT", default: 5, min: 0, hint: "must be zero or more", description: "html: highlight the images where a codec beats or loses to the baseline by more than this" },
+            { name: "thumbnails", type: "boolean", default: true, description: "html: show a thumbnail of every image (--no-thumbnails for a smaller page)" },
+            { ...jobsOption, description: "html: make N thumbnails at the same time" },
+            { name: "columns", type: "list", placeholder: "FIELD,...", description: "tables: report fields to show (e.g. filename,cSize0.4,cSize0.5)" },
+            { name: "sort", type: "string", placeholder: "FIELD", description: "tables: sort by this field (-FIELD for descending order)" }
+        ],
+        run: async options => {
+            const paths = outputPaths(path.resolve(options.out))
+            const report = readReport(options.report || paths.report)
+            if (options.format === "html") {
+                const output = options.output || path.join(paths.out, "report.html")
+                fs.writeFileSync(output, await renderHtml(report, { threshold: options.threshold, thumbnails: options.thumbnails, imgFolder: paths.img, jobs: options.jobs }))
+                return console.log(`Report written to ${output}`)
+            }
+            const columns = options.columns && options.columns.length ? options.columns : undefined
+            const table = exportReport(report, options.format, { columns, sort: options.sort })
+            if (options.output) fs.writeFileSync(options.output, table)
+            else process.stdout.write(table)
         }
-    })
-
-    // Restauramos los archivos originales con Lea 0.5
-    const progressBarOptionsR05 = {
-        total: allFiles.length,
-        label: 'Decompressing with Lea 0.5 ',
-        show: {
-            overwrite: true,
-            bar: {
-                length: 50,
-                completed: '—',
-                incompleted: '|',
-            },
-        },
-    }
-    const barR05 = progressBar(progressBarOptionsR05)
-
-    allFiles.forEach(async file => {
-        barR05.tick('')
-        const input = path.join(__dirname, "tmp", "lea5", `"${file.filename}.ppm.lea5"`)
-        const output = path.join(__dirname, "tmp", "restored5", `"${file.filename}.ppm.restored"`)
-
-        // Ejecutamos el comando para descomprimir 3 veces
-        const times = []
-        for (let i = 0; i < 3; i++) {
-            const { time, result } = runSync(
-                `${!isWindows ? "WINEDEBUG=-all wine" : ""} ${lea0_5_decomp} ${input} ${output} ${!isWindows ? "2>/dev/null" : ""}`
-            )
-            times.push(time)
+    },
+    {
+        name: "compare",
+        description: "Compare the report against a baseline report, image by image. Exits with code 1 when there are regressions.",
+        positional: "baseline",
+        positionalRequired: true,
+        options: [outOption, reportOption,
+            { name: "threshold", type: "number", placeholder: "PERCENT", default: 1, min: 0, hint: "must be zero or more", description: "an image compressing worse than in the baseline by more than this is a regression" },
+            { name: "codec", type: "string", placeholder: "NAME", description: "codec of the report to compare" },
+            { name: "baseline-codec", type: "string", placeholder: "NAME", description: "codec of the baseline to compare it with" }
+        ],
+        run: options => {
+            if (!options.baseline) throw new UsageError("compare needs a baseline report")
+            const paths = outputPaths(path.resolve(options.out))
+            const comparisons = compareReports(readReport(options.report || paths.report), readReport(options.baseline), options)
+            printComparison(comparisons)
+            if (comparisons.some(({ aggregate }) => aggregate.regressions || aggregate.variantRegressions)) process.exitCode = 1
         }
-
-        // Calculamos el tiempo mínimo y lo guardamos en el reporte
-        const minTime = Math.min(...times)
-        // Get the size of uotput using the command `du -b ${output} | cut -f1` if we are on Linux, or `wc -c ${output}` if we are on Windows
-        const decompressedSize = isWindows ?
-            execSync(`wc -c ${output}`, { encoding: "utf8" }).split(" ")[0] :
-            // We need to trim the last two characters from the following output and convert it to number
-            parseInt(execSync(`du -b ${output} | cut -f1`, { encoding: "utf8" }).slice(0, -1))
-
-        // We need to find on the report the file with the same name as the one we are processing so we can add the new data for V5
-        const index = report.findIndex(reportFile => file.originalsha256 === reportFile.originalsha256)
-        const roundTrip = report[index]["cTime0.5"] + minTime
-        report[index] = {
-            ...report[index],
-            "dTime0.5": minTime,
-            "dSpeed0.5": decompressedSize / (minTime / 1000), // Speed in bytes per second
-            // "isIdentical0.5": file.ppmsha256 === sha256File(output) ? "✓" : "✗",
-            "dTimeDiff": minTime - report[index]["dTime0.4"], // positive if Lea 0.4 is faster
-            "roundTrip0.5": roundTrip,
-            "roundTripDiff": roundTrip - report[index]["roundTrip0.4"], // positive if Lea 0.4 is faster
+    },
+    {
+        name: "generate",
+        description: "Write synthetic PPM/PGM images covering edge cases (1x1, single colour, noise, gradients, strips, maxval other than 255) to a corpus folder. The same seed gives the same images.",
+        positional: "corpus",
+        positionalRequired: true,
+        options: [
+            { name: "seed", type: "number", placeholder: "N", default: 1, description: "seed of the random numbers of the images" },
+            { name: "only", type: "list", placeholder: "NAME,...", description: `only write these images: ${caseNames.join(", ")}` },
+            { name: "huge", type: "boolean", default: false, description: "also write the images at the 2^29 pixels width/height limit (512 MB each)" }
+        ],
+        run: options => {
+            if (!options.corpus) throw new UsageError("generate needs the folder to write the images to")
+            const folder = path.resolve(options.corpus)
+            const images = generateCorpus(folder, options)
+            images.forEach(image => console.log(`${path.basename(image.file)}\t${image.width}x${image.height}, maxval ${image.maxval}, ${image.size} bytes`))
+            // bench reduces 16 bit images to 8 bits by default, which would leave nothing of these edge cases
+            const deep = images.some(image => image.maxval > 255) ? " --deep=keep" : ""
+            console.log(`${images.length} image(s) written to ${folder}. Benchmark them with: ${program} bench ${options.corpus}${deep}`)
         }
-        delete report[index]["ppmFile"]
-    })
-
-    // Save the report to a json file
-    fs.writeFileSync(path.join(__dirname, "report.jsonc"), JSON.stringify(report, null, 2))
-
-    // report.forEach(file => console.table(file))
-    // console.table(report[0])
-
+    }
+]
+
+const program = "node index.js"
+
+const usage = () => [`Usage: ${program} <command> [arguments] [options]`, "", "Commands:",
+    ...commands.map(command => `  ${command.name.padEnd(11)}${command.description.split(". ")[0].replace(/\.$/, "")}`),
+    "", `Run "${program} <command> --help" for the options of a command.`].join("\n")
+
+let command // The command being run, to point at its help on usage errors
+
+const main = async () => {
+    const args = process.argv.slice(2)
+    if (!args.length || args[0] === "--help" || args[0] === "-h" || args[0] === "help") return console.log(usage())
+    // "node index.js folder" is a benchmark of the folder, as it always was
+    const named = commands.find(command => command.name === args[0])
+    command = named || commands.find(command => command.name === "bench")
+    const options = parseArgs(command, named ? args.slice(1) : args)
+    if (options.help) return console.log(helpText(program, command))
+    if (command.positional === "folder") options.folder = path.resolve(options.folder || "./") // The folder to scan
+    await command.run(options)
 }
-processEverything()
+
+main().catch(err => {
+    console.log(`Error: ${err.message}`)
+    if (err instanceof UsageError) console.log(`Run "${command ? `${program} ${command.name}` : program} --help" for help.`)
+    process.exit(2)
+})
@@ -0,0 +1,179 @@
+const fs = require("fs");
+
+
+// Number of channels for each netpbm binary format. PAM (P7) says it in its header.
+const channelsByMagic = { P5: 1, P6: 3 };
+
+const isSpace = byte => byte === 0x20 || (byte >= 0x09 && byte <= 0x0d);
+
+// PAM headers are lines of "KEY value" ending with ENDHDR
+const parsePamHeader = buffer => {
+    const end = buffer.indexOf("\nENDHDR\n");
+    if (end < 0) throw new Error("Not a PAM file (no ENDHDR)");
+    const header = { magic: "P7", tupltype: "" };
+    buffer.toString("latin1", 0, end).split("\n").slice(1).forEach(line => {
+        const [key, ...value] = line.trim().split(/\s+/);
+        if (key === "WIDTH") header.width = parseInt(value[0]);
+        else if (key === "HEIGHT") header.height = parseInt(value[0]);
+        else if (key === "DEPTH") header.channels = parseInt(value[0]);
+        else if (key === "MAXVAL") header.maxval = parseInt(value[0]);
+        else if (key === "TUPLTYPE") header.tupltype = value.join(" ");
+    });
+    if (!(header.width > 0 && header.height > 0 && header.channels > 0 && header.maxval > 0))
+        throw new Error("Incomplete PAM header");
+    header.headerLength = end + "\nENDHDR\n".length;
+    return header;
+}
+
+// Read the header of a binary PPM/PGM/PAM file: magic number, width, height, channels and maxval.
+// headerLength is the offset of the first sample.
+const parseHeader = buffer => {
+    const magic = buffer.toString("latin1", 0, 2);
+    if (magic === "P7") return parsePamHeader(buffer);
+
+    const fields = [];
+    let offset = 0;
+    while (fields.length < 4 && offset < buffer.length) {
+        if (buffer[offset] === 0x23) {
+            // Comments (#) run until the end of the line
+            while (offset < buffer.length && buffer[offset] !== 0x0a) offset++;
+        }
+        else if (isSpace(buffer[offset])) offset++;
+        else {
+            const start = offset;
+            while (offset < buffer.length && !isSpace(buffer[offset]) && buffer[offset] !== 0x23) offset++;
+            fields.push(buffer.toString("latin1", start, offset));
+        }
+    }
+    const [, width, height, maxval] = fields;
+    if (!(magic in channelsByMagic) || fields.length < 4)
+        throw new Error(`Not a binary PPM/PGM/PAM file (magic number ${magic})`);
+    return {
+        magic,
+        width: parseInt(width),
+        height: parseInt(height),
+        maxval: parseInt(maxval),
+        channels: channelsByMagic[magic],
+        // A single whitespace character separates the header from the samples
+        headerLength: offset + 1
+    };
+}
+
+// Read the header of a file on disk. Headers are tiny, so the first few KB are enough.
+const readHeader = file => {
+    const fd = fs.openSync(file, "r");
+    try {
+        const buffer = Buffer.alloc(4096);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return parseHeader(buffer.subarray(0, bytesRead));
+    }
+    finally { fs.closeSync(fd); }
+}
+
+// Size of the samples of the image, in bytes: the file is the header and this much
+const dataLength = header => header.width * header.height * header.channels * (header.maxval > 255 ? 2 : 1);
+
+// Translate a byte offset in the file to the pixel it belongs to
+const locateOffset = (header, offset) => {
+    if (offset < header.headerLength) return { inHeader: true };
+    const bytesPerSample = header.maxval > 255 ? 2 : 1;
+    const sample = Math.floor((offset - header.headerLength) / bytesPerSample);
+    const pixel = Math.floor(sample / header.channels);
+    return {
+        x: pixel % header.width,
+        y: Math.floor(pixel / header.width),
+        channel: sample % header.channels
+    };
+}
+
+// Shannon entropy of a histogram, in bits per sample
+const entropy = (histogram, total) => {
+    let bits = 0;
+    for (const count of histogram) {
+        if (count) bits -= count / total * Math.log2(count / total);
+    }
+    return bits;
+}
+
+// Counting unique colours of deep images needs a Set; past this many colours we stop counting
+const maxTrackedColours = 1 << 22;
+
+// Images where at least this fraction of pixels repeat their left neighbour look drawn rather than photographed
+const syntheticRepeatThreshold = 0.3;
+
+// Read every sample of the image, in chunks, and gather:
+//  - the number of unique colours
+//  - the entropy of every channel, in bits per sample
+//  - the fraction of pixels equal to the pixel on their left, and from it, a guess of whether the image is
+//    synthetic (screenshots, drawings, charts) or photographic
+const pixelStatistics = file => {
+    const header = readHeader(file);
+    const { width, height, channels, maxval } = header;
+    const bytesPerSample = maxval > 255 ? 2 : 1;
+    const pixelSize = channels * bytesPerSample;
+    const pixels = width * height;
+
+    const histograms = Array.from({ length: channels }, () => new Float64Array(maxval + 1));
+    // 8 bit images with up to 3 channels fit in a bitmap; anything else goes in a Set
+    const useBitmap = bytesPerSample === 1 && channels <= 3;
+    const bitmap = useBitmap ? new Uint8Array(Math.ceil(2 ** (8 * channels) / 8)) : null;
+    const colourSet = useBitmap ? null : new Set();
+    let uniqueColours = 0;
+    let capped = false;
+    let repeats = 0;
+
+    const fd = fs.openSync(file, "r");
+    try {
+        // Whole pixels per chunk, so no pixel is split between two reads
+        const chunk = Buffer.alloc(pixelSize * Math.max(1, Math.floor((1 << 20) / pixelSize)));
+        let position = header.headerLength;
+        let pixel = 0;
+        let previous = null;
+        while (pixel < pixels) {
+            const bytesRead = fs.readSync(fd, chunk, 0, Math.min(chunk.length, (pixels - pixel) * pixelSize), position);
+            if (bytesRead < pixelSize) throw new Error(`${file} is truncated`);
+            const whole = bytesRead - bytesRead % pixelSize;
+            for (let offset = 0; offset < whole; offset += pixelSize, pixel++) {
+                let key = 0;
+                for (let c = 0; c < channels; c++) {
+                    const value = bytesPerSample === 1 ? chunk[offset + c] : chunk.readUInt16BE(offset + 2 * c);
+                    histograms[c][value]++;
+                    key = key * (maxval + 1) + value;
+                }
+                if (useBitmap) {
+                    if (!(bitmap[key >> 3] & (1 << (key & 7)))) {
+                        bitmap[key >> 3] |= 1 << (key & 7);
+                        uniqueColours++;
+                    }
+                }
+                else if (!capped && !colourSet.has(key)) {
+                    colourSet.add(key);
+                    capped = colourSet.size >= maxTrackedColours;
+                }
+                // The first pixel of a row has no left neighbour
+                if (pixel % width !== 0 && previous !== null && key === previous) repeats++;
+                previous = key;
+            }
+            position += whole;
+        }
+    }
+    finally { fs.closeSync(fd); }
+
+    const neighbourRepeat = pixels > height ? repeats / (pixels - height) : 0;
+    return {
+        uniqueColours: useBitmap ? uniqueColours : colourSet.size,
+        uniqueColoursCapped: capped,
+        entropy: histograms.map(histogram => entropy(histogram, pixels)),
+        neighbourRepeat,
+        kind: neighbourRepeat >= syntheticRepeatThreshold ? "synthetic" : "photographic"
+    };
+}
+
+
+module.exports = {
+    parseHeader,
+    readHeader,
+    dataLength,
+    locateOffset,
+    pixelStatistics
+}
@@ -0,0 +1,26 @@
+const fs = require("fs");
+
+
+// Read a benchmark report. Reports used to be a plain array of images; now they also have a summary.
+const readReport = file => {
+    const content = JSON.parse(fs.readFileSync(file, "utf8"));
+    const images = Array.isArray(content) ? content : content.images;
+    const summary = Array.isArray(content) ? null : content.summary;
+    return { summary, images, codecs: codecNames(images, summary) };
+}
+
+// Names of the codecs in a report, in the order they were benchmarked (the first one is the baseline)
+const codecNames = (images, summary) => {
+    if (summary) return Object.keys(summary.overall.codecs);
+    const names = [];
+    images.forEach(entry => Object.keys(entry).forEach(key => {
+        if (key.startsWith("codecHash") && !names.includes(key.slice("codecHash".length))) names.push(key.slice("codecHash".length));
+    }));
+    return names;
+}
+
+
+module.exports = {
+    readReport,
+    codecNames
+}
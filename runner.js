@@ -0,0 +1,200 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { spawn, execFileSync } = require("child_process");
+
+const { pinToCpu } = require("./scheduler.js");
+
+
+const isWindows = process.platform === "win32";
+
+// Keep the end of what a codec writes to stderr, which is where the error usually is
+const maxStderr = 2000;
+
+// Find a program: relative to a folder (for paths like ./bin/clea), or on the PATH
+const findProgram = (program, cwd = process.cwd()) => {
+    const candidates = [path.resolve(cwd, program)];
+    if (!program.includes("/") && !program.includes("\\")) {
+        const extensions = isWindows ? ["", ".exe", ".cmd", ".bat"] : [""];
+        (process.env.PATH || "").split(path.delimiter).filter(Boolean).forEach(folder =>
+            extensions.forEach(extension => candidates.push(path.join(folder, program + extension))));
+    }
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+// GNU time reads the resource usage of the codec from the kernel (wait4) when it exits: peak resident memory,
+// and user and system CPU time. Without it, or on anything but Linux, these are null.
+const accountingBin = (() => {
+    if (process.platform !== "linux") return null;
+    const bin = findProgram("time");
+    if (!bin) return null;
+    try {
+        execFileSync(bin, ["-f", "%M", "-o", "/dev/null", "true"], { stdio: "ignore" });
+        return bin;
+    }
+    catch (e) { return null; }
+})();
+const haveAccounting = accountingBin !== null;
+
+let accountingFiles = 0;
+const accountingFile = () => path.join(os.tmpdir(), `lea-tester-${process.pid}-${accountingFiles++}.time`);
+
+// GNU time writes "Command exited with non-zero status N" or "Command terminated by signal N" first when
+// something went wrong, and our format last: user and system seconds, and the peak RSS in KB
+const readAccounting = file => {
+    try {
+        const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+        const [user, system, maxRss] = lines[lines.length - 1].trim().split(/\s+/).map(Number);
+        const killed = lines.map(line => line.match(/terminated by signal (\d+)/)).find(Boolean);
+        if (![user, system, maxRss].every(isFinite)) return null;
+        const signal = killed ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === Number(killed[1])) : null;
+        return { userTime: user * 1000, systemTime: system * 1000, peakRss: maxRss * 1024, signal: signal || null };
+    }
+    catch (e) { return null; }
+    finally { fs.rmSync(file, { force: true }); }
+}
+
+// Split a command template into its arguments, the way a shell would split words: on spaces, except inside
+// '...' or "..." quotes, and a backslash escapes the next character. Nothing else of the shell applies: the
+// arguments are passed to the program as they are, so file names can't be run as commands.
+const splitArgs = template => {
+    const args = [];
+    let current = null; // The argument being read, null between arguments
+    let quote = null;
+    for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+        if (quote) {
+            if (char === quote) quote = null;
+            else if (char === "\\" && quote === '"' && i + 1 < template.length) current += template[++i];
+            else current += char;
+        }
+        else if (/\s/.test(char)) {
+            if (current !== null) args.push(current);
+            current = null;
+        }
+        else if (char === "'" || char === '"') {
+            quote = char;
+            current = current || "";
+        }
+        else if (char === "\\" && i + 1 < template.length) current = (current || "") + template[++i];
+        else current = (current || "") + char;
+    }
+    if (quote) throw new Error(`Unbalanced ${quote} in ${template}`);
+    if (current !== null) args.push(current);
+    return args;
+}
+
+// How a codec is launched, from the "runner" of its registry entry:
+//   "native"             the command runs as is
+//   "wine"               the command runs under wine (on anything but Windows)
+//   { "prefix": "..." }  the command runs through a wrapper script or a container, e.g.
+//                        { "prefix": "docker run --rm -v /data:/data lea:0.5" }. A container has to see the
+//                        files at the same paths, so mount the --out folder (and the registry folder) as they are.
+// Entries without a runner keep the old meaning of "wine": true.
+const resolveRunner = codec => {
+    const runner = codec.runner === undefined ? (codec.wine ? "wine" : "native") : codec.runner;
+    if (runner === "native" || (runner === "wine" && isWindows)) return { type: "native", prefix: [], env: {} };
+    if (runner === "wine") return { type: "wine", prefix: ["wine"], program: "wine", env: { WINEDEBUG: "-all" } };
+    if (runner && typeof runner.prefix === "string" && splitArgs(runner.prefix).length) {
+        const prefix = splitArgs(runner.prefix);
+        return { type: "prefix", prefix, program: prefix[0], env: {} };
+    }
+    throw new Error(`Codec ${codec.name} has an invalid runner. Use "native", "wine" or { "prefix": "command" }`);
+}
+
+// The arguments of a codec call, with the runner in front
+const wrapCommand = (runner, args) => [...runner.prefix, ...args];
+
+// Programs the runners of these codecs need, that aren't there. Each one comes with the codecs needing it.
+const missingRunners = codecs => {
+    const missing = new Map();
+    codecs.forEach(codec => {
+        const { program } = codec.runner;
+        if (!program || findProgram(program, codec.cwd)) return;
+        if (!missing.has(program)) missing.set(program, []);
+        missing.get(program).push(codec.name);
+    });
+    return [...missing].map(([program, names]) => ({ program, codecs: names }));
+}
+
+// A codec crashed when a signal killed it. Through a wrapper script that shows as an exit code of 128 + the signal,
+// and on Windows (or wine) as an NTSTATUS exception code such as 0xC0000005 (access violation).
+const isCrash = (exitCode, signal) => Boolean(signal) || (exitCode > 128 && exitCode < 128 + 65) || exitCode >= 0xC0000000;
+
+// Kill a codec call with everything it started
+const killGroup = child => {
+    try { process.kill(isWindows ? child.pid : -child.pid, "SIGKILL"); }
+    catch (e) { child.kill("SIGKILL"); }
+}
+
+// The codec calls running right now. Their own process group doesn't get the Ctrl+C of the terminal, so when
+// we are interrupted they are killed first: nobody would be left to stop a codec that hangs.
+const running = new Set();
+let handlersInstalled = false;
+const killRunningOn = signal => process.on(signal, () => {
+    running.forEach(killGroup);
+    process.exit(128 + os.constants.signals[signal]);
+});
+const trackChild = child => {
+    if (!handlersInstalled) {
+        ["SIGINT", "SIGTERM"].forEach(killRunningOn);
+        handlersInstalled = true;
+    }
+    running.add(child);
+    child.on("close", () => running.delete(child));
+}
+
+// Run a codec call without blocking, pinned to a core. Resolves to whether it worked, what it wrote to stderr,
+// its exit code (null when a signal killed it, with the name of the signal, e.g. "SIGSEGV"), whether it crashed
+// or ran out of time and, when GNU time is there, its peak resident memory in bytes and its user and system CPU
+// time in milliseconds. The codec is killed after `timeout` milliseconds (0 for no limit), with everything it
+// started: it runs in its own process group.
+// The command is a list of arguments, run without a shell.
+const runCommand = (args, { cwd, cpu, env = {}, timeout = 0 }) => new Promise(resolve => {
+    const file = haveAccounting ? accountingFile() : null;
+    const [program, ...rest] = pinToCpu(file ? [accountingBin, "-f", "%U %S %M", "-o", file, ...args] : args, cpu);
+    let timedOut = false;
+    let stderr = "";
+    let spawnError = null;
+    const child = spawn(program, rest, { cwd, env: { ...process.env, ...env }, detached: !isWindows, stdio: ["ignore", "ignore", "pipe"] });
+    trackChild(child);
+    child.stderr.setEncoding("utf8");
+    child.stderr.on("data", data => stderr = (stderr + data).slice(-2 * maxStderr));
+    child.on("error", err => spawnError = err); // e.g. the program isn't there
+    child.on("close", (code, killSignal) => {
+        clearTimeout(timer);
+        const usage = file ? readAccounting(file) : null;
+        if (spawnError) stderr += spawnError.message;
+        // GNU time exits with 128 + N when signal N killed the codec
+        const signal = killSignal || (usage && usage.signal) || null;
+        // A program that couldn't start has no exit code (Node gives the negative errno)
+        const exitCode = signal || spawnError ? null : code;
+        const ok = exitCode === 0;
+        resolve({
+            ok,
+            stderr: stderr.trim().slice(-maxStderr),
+            exitCode,
+            signal,
+            crashed: !timedOut && !ok && isCrash(exitCode, signal),
+            timedOut,
+            peakRss: usage ? usage.peakRss : null,
+            userTime: usage ? usage.userTime : null,
+            systemTime: usage ? usage.systemTime : null
+        });
+    });
+    const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        killGroup(child);
+    }, timeout) : null;
+});
+
+
+module.exports = {
+    findProgram,
+    splitArgs,
+    resolveRunner,
+    wrapCommand,
+    missingRunners,
+    haveAccounting,
+    runCommand
+}
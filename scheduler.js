@@ -0,0 +1,56 @@
+const os = require("os");
+const { execFileSync } = require("child_process");
+
+
+const cpuCount = os.cpus().length;
+
+// taskset (util-linux) pins a process to a core. Without it, commands just run unpinned.
+const haveTaskset = (() => {
+    if (process.platform !== "linux") return false;
+    try {
+        execFileSync("taskset", ["-V"], { stdio: "ignore" });
+        return true;
+    }
+    catch (e) { return false; }
+})();
+
+// Run a command (a list of arguments) on a single core so that parallel runs don't steal each other's time
+const pinToCpu = (args, cpu) => haveTaskset ? ["taskset", "-c", String(cpu), ...args] : args;
+
+// Run at most `jobs` tasks at the same time. Every worker slot has its own core:
+// tasks receive { slot, cpu } so they can pin what they launch.
+const createScheduler = (jobs = cpuCount) => {
+    const queue = [];
+    const freeSlots = Array.from({ length: jobs }, (_, slot) => slot);
+
+    const next = () => {
+        while (freeSlots.length && queue.length) {
+            const slot = freeSlots.shift();
+            const { task, resolve, reject } = queue.shift();
+            Promise.resolve()
+                .then(() => task({ slot, cpu: slot % cpuCount }))
+                .then(resolve, reject)
+                .finally(() => {
+                    freeSlots.push(slot);
+                    next();
+                });
+        }
+    }
+
+    const run = task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+
+    // Run the same task for every item of a list, and wait for all of them
+    const map = (items, task) => Promise.all(items.map(item => run(worker => task(item, worker))));
+
+    return { jobs, run, map };
+}
+
+
+module.exports = {
+    cpuCount,
+    pinToCpu,
+    createScheduler
+}
@@ -0,0 +1,164 @@
+const path = require("path");
+
+
+// Resolution buckets, by megapixels
+const resolutionBuckets = [
+    { label: "< 0.1 MP", max: 0.1e6 },
+    { label: "0.1-1 MP", max: 1e6 },
+    { label: "1-4 MP", max: 4e6 },
+    { label: "4-16 MP", max: 16e6 },
+    { label: ">= 16 MP", max: Infinity }
+];
+
+const resolutionBucket = entry => {
+    const pixels = entry.width * entry.height;
+    if (!(pixels >= 0)) return "unknown";
+    return resolutionBuckets.find(bucket => pixels < bucket.max).label;
+}
+
+const originalFormat = entry => path.extname(entry.filename).toLowerCase() || "(none)";
+
+const imageKind = entry => entry.kind || "unknown";
+
+const colourType = entry => entry.channels === 1 ? "greyscale" : entry.channels === 3 ? "rgb" : "unknown";
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const geometricMean = values => values.length ? Math.exp(sum(values.map(Math.log)) / values.length) : null;
+
+// An image counts for a codec once it has been compressed and restored correctly
+const hasResult = (entry, name) => typeof entry[`cSize${name}`] === "number" && entry[`isIdentical${name}`] === "✓";
+
+// How many images failed with the codec, by status (timeout, crash, mismatch...)
+const failureCounts = (entries, name) => {
+    const counts = {};
+    entries.forEach(entry => {
+        const status = entry[`status${name}`] || (entry[`isIdentical${name}`] === "✗" ? "mismatch" : "ok");
+        if (status !== "ok") counts[status] = (counts[status] || 0) + 1;
+    });
+    return counts;
+}
+
+// Figures for one codec over a group of images
+const codecFigures = (entries, name) => {
+    const done = entries.filter(entry => hasResult(entry, name));
+    const totalCompressed = sum(done.map(entry => entry[`cSize${name}`]));
+    const totalPPM = sum(done.map(entry => entry.ppmSize));
+    const totalOriginal = sum(done.map(entry => entry.originalSize));
+    const totalPixels = sum(done.map(entry => entry.width * entry.height || 0));
+    const timed = field => done.filter(entry => typeof entry[field + name] === "number");
+    const totalTime = field => sum(timed(field).map(entry => entry[field + name])) / 1000;
+    const speeds = field => done.map(entry => entry[field + name]).filter(speed => typeof speed === "number");
+    return {
+        images: done.length,
+        totalCompressed,
+        totalPPM,
+        totalOriginal,
+        bpp: totalPixels ? totalCompressed * 8 / totalPixels : null, // bits per pixel
+        totalRatioPPM: totalPPM ? totalCompressed / totalPPM * 100 : null,
+        geoMeanRatioPPM: geometricMean(done.filter(entry => entry[`cSize${name}`] > 0).map(entry => entry[`cRatioPPM${name}`])),
+        // Throughput over the whole group (bytes per second), and mean of the per-image speeds. Both come from the
+        // net times: images timed below the noise of the codec's startup overhead have none, and don't count.
+        cTotalSpeed: totalTime("cNetTime") ? sum(timed("cNetTime").map(entry => entry.ppmSize)) / totalTime("cNetTime") : null,
+        cMeanSpeed: speeds("cSpeed").length ? sum(speeds("cSpeed")) / speeds("cSpeed").length : null,
+        dTotalSpeed: totalTime("dNetTime") ? sum(timed("dNetTime").map(entry => entry.ppmSize)) / totalTime("dNetTime") : null,
+        dMeanSpeed: speeds("dSpeed").length ? sum(speeds("dSpeed")) / speeds("dSpeed").length : null,
+        wins: 0,
+        ties: 0,
+        failures: failureCounts(entries, name)
+    };
+}
+
+// Summarize a group of images for every codec, and count on how many images each codec compresses best
+const summarizeGroup = (entries, names) => {
+    const codecs = {};
+    names.forEach(name => codecs[name] = codecFigures(entries, name));
+    // On every image, the contest is between the codecs that handled it: a codec failing doesn't void it for the others
+    entries.forEach(entry => {
+        const contenders = names.filter(name => hasResult(entry, name));
+        if (!contenders.length) return;
+        const best = Math.min(...contenders.map(name => entry[`cSize${name}`]));
+        const winners = contenders.filter(name => entry[`cSize${name}`] === best);
+        winners.forEach(name => winners.length === 1 ? codecs[name].wins++ : codecs[name].ties++);
+    });
+    return { images: entries.length, codecs };
+}
+
+const groupBy = (entries, keyOf) => {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const key = keyOf(entry);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+    return groups;
+}
+
+// Split the images by some property and summarize every group
+const breakdown = (entries, names, keyOf) => {
+    const groups = groupBy(entries, keyOf);
+    const result = {};
+    [...groups.keys()].sort().forEach(key => result[key] = summarizeGroup(groups.get(key), names));
+    return result;
+}
+
+// How much the compressed size of the images changes under their lossless variants (see variants.js), for every
+// codec. Sizes are compared in bits per pixel, so that crops can be compared with the whole image.
+//  - byVariant: how much bigger (positive) or smaller each variant is than the image, in %: mean, lowest and highest
+//  - meanSpread: the spread of an image is the highest minus the lowest bpp among the image and its variants, in %
+//    of the bpp of the image; this is its mean over the images, and widest the image with the widest spread
+// Only the images and variants the codec compressed and restored correctly count.
+const variantSpread = (entries, names) => {
+    const originals = new Map(entries.filter(entry => !entry.variant).map(entry => [entry.ppmsha256, entry]));
+    const families = groupBy(entries.filter(entry => entry.variant && originals.has(entry.variantOf)), entry => entry.variantOf);
+    const bpp = (entry, name) => entry[`cSize${name}`] * 8 / (entry.width * entry.height);
+    const result = {};
+    names.forEach(name => {
+        const changes = {};
+        const spreads = [];
+        families.forEach((variants, ppmsha256) => {
+            const original = originals.get(ppmsha256);
+            const done = variants.filter(entry => hasResult(entry, name));
+            if (!hasResult(original, name) || !(bpp(original, name) > 0) || !done.length) return;
+            const base = bpp(original, name);
+            done.forEach(entry => (changes[entry.variant] = changes[entry.variant] || []).push((bpp(entry, name) / base - 1) * 100));
+            const all = [base, ...done.map(entry => bpp(entry, name))];
+            spreads.push({ filename: original.filename, spread: (Math.max(...all) - Math.min(...all)) / base * 100 });
+        });
+        const byVariant = {};
+        Object.keys(changes).sort().forEach(variant => byVariant[variant] = {
+            images: changes[variant].length,
+            meanChange: sum(changes[variant]) / changes[variant].length,
+            minChange: Math.min(...changes[variant]),
+            maxChange: Math.max(...changes[variant])
+        });
+        result[name] = {
+            images: spreads.length,
+            meanSpread: spreads.length ? sum(spreads.map(image => image.spread)) / spreads.length : null,
+            widest: spreads.reduce((widest, image) => !widest || image.spread > widest.spread ? image : widest, null),
+            byVariant
+        };
+    });
+    return result;
+}
+
+// The whole corpus, then broken down by original format, resolution, colour type and kind of image.
+// Variants of the images don't count in the corpus; they have a section of their own.
+const summarize = (entries, names) => {
+    const images = entries.filter(entry => !entry.variant);
+    const summary = {
+        overall: summarizeGroup(images, names),
+        byFormat: breakdown(images, names, originalFormat),
+        byResolution: breakdown(images, names, resolutionBucket),
+        byColourType: breakdown(images, names, colourType),
+        byKind: breakdown(images, names, imageKind)
+    };
+    if (images.length < entries.length) summary.variants = variantSpread(entries, names);
+    return summary;
+}
+
+module.exports = {
+    summarize,
+    hasResult,
+    resolutionBucket,
+    colourType
+}
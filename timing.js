@@ -0,0 +1,60 @@
+// Two-sided 95% critical values of Student's t distribution, by degrees of freedom (1 to 30).
+// Past 30 the normal approximation is close enough.
+const tTable = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+const tCritical = degrees => tTable[degrees - 1] || 1.96;
+
+// Summarize a list of times: min, median, mean, standard deviation and the 95% confidence interval of the mean
+const statistics = samples => {
+    if (!samples.length) return null;
+    const sorted = [...samples].sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((sum, x) => sum + x, 0) / n;
+    const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    // Sample standard deviation; a single run has no spread we can measure
+    const stddev = n > 1 ? Math.sqrt(sorted.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (n - 1)) : 0;
+    const margin = n > 1 ? tCritical(n - 1) * stddev / Math.sqrt(n) : 0;
+    return {
+        runs: n,
+        min: sorted[0],
+        median,
+        mean,
+        stddev,
+        ci95: [mean - margin, mean + margin]
+    };
+}
+
+// Time an async function with a high resolution clock, in milliseconds.
+// run() resolves to true if it succeeded, or to an object with an `ok` property and whatever else it wants to
+// report about the run. Failed runs have a null time.
+const timeIt = async run => {
+    const start = process.hrtime.bigint();
+    const result = await run();
+    const end = process.hrtime.bigint();
+    const ok = result !== null && typeof result === "object" ? result.ok : result;
+    return { time: ok ? Number(end - start) / 1e6 : null, result };
+}
+
+// Run `warmup` times without measuring, then `runs` measured times.
+// Failed runs are dropped; the others are kept as they were measured.
+// The results of the measured runs, failed or not, are kept in `results`.
+const measure = async (run, { warmup = 1, runs = 3 } = {}) => {
+    for (let i = 0; i < warmup; i++) await run();
+    const times = [];
+    const results = [];
+    let failed = 0;
+    for (let i = 0; i < runs; i++) {
+        const { time, result } = await timeIt(run);
+        results.push(result);
+        if (time === null) failed++;
+        else times.push(time);
+    }
+    return { ...statistics(times), failed, results };
+}
+
+module.exports = {
+    statistics,
+    timeIt,
+    measure
+}
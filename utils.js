@@ -5,72 +5,283 @@ const progressBar = require('progress-barjs')
 const sha256File = require('sha256-file'); // https://www.npmjs.com/package/sha256-file
 const gm = require("gm");
 
+const { createScheduler } = require("./scheduler.js");
+const { readHeader, dataLength, pixelStatistics } = require("./netpbm.js");
 
-const files = [];
-const imgFolder = path.join(__dirname, "img"); // The images tested will be copied here
-const ppmTempFolder = path.join(__dirname, "tmp", "ppm");
-const traverse = directory => {
-    fs.readdirSync(directory).forEach(file => {
-        const absolute = path.join(directory, file);
-        if (fs.statSync(absolute).isDirectory()) return traverse(absolute);
-        else return files.push(absolute);
-    });
-    return files;
+
+// Where everything goes: the testbed, the temporary files, the quarantine and the report
+const outputPaths = (out = __dirname) => ({
+    out,
+    img: path.join(out, "img"), // The images tested will be copied here
+    tmp: path.join(out, "tmp"), // PPM, compressed and restored files for every codec
+    ppm: path.join(out, "tmp", "ppm"),
+    quarantine: path.join(out, "quarantine"), // Failed round trips
+    report: path.join(out, "results.json"),
+    index: path.join(out, "scan-index.json"), // What the last scans found, to only hash new or changed files
+    ppmIndex: path.join(out, "ppm-index.json") // What the last runs normalized, to only convert new images
+});
+
+// Image files we know how to convert
+const validFileExtensions = new Set([".jpg", ".jpeg", ".png", ".gif", ".bmp",
+    ".tiff", ".tif", ".webp", ".svg", ".psd", ".ai", ".eps",
+    ".ppm", ".pgm", ".pbm", ".pnm", ".pam", ".pfm", ".pcx", ".xwd"]);
+
+// The path of a file relative to the scanned folder, with forward slashes on every OS
+const relativePath = (directory, file) => path.relative(directory, file).split(path.sep).join("/");
+
+// Turn a glob into a regular expression: ** matches across folders, * and ? don't, {a,b} is either a or b
+const globToRegExp = glob => {
+    let regex = "";
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === "*" && glob[i + 1] === "*") {
+            // "**/" also matches no folder at all
+            regex += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+            i += glob[i + 2] === "/" ? 2 : 1;
+        }
+        else if (char === "*") regex += "[^/]*";
+        else if (char === "?") regex += "[^/]";
+        else if (char === "{") regex += "(?:";
+        else if (char === "}") regex += ")";
+        else if (char === "," && regex.lastIndexOf("(?:") > regex.lastIndexOf(")")) regex += "|";
+        else regex += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+    return new RegExp(`^${regex}$`, "i");
 }
 
-// Clean the list of duplicates, non-images and empty files
-const cleanList = files => {
+// Call `visit` with the path and the stats of every file under the folder, one at a time, so nothing but the
+// folders still to read is kept in memory. Symbolic links are followed, but every folder is read once only,
+// so a link pointing back up the tree doesn't loop. Hidden files and folders (.name) are skipped unless `hidden`
+// is set, and so are the folders matching one of the `excludes` regular expressions (with their whole content).
+const walk = (directory, { hidden = false, excludes = [] }, visit) => {
+    const visited = new Set();
+    const readFolder = folder => {
+        const { dev, ino } = fs.statSync(folder);
+        if (visited.has(`${dev}:${ino}`)) return;
+        visited.add(`${dev}:${ino}`);
+        let names;
+        try { names = fs.readdirSync(folder).sort(); }
+        catch (err) { return console.warn(`Warning: can't read ${folder} (${err.code})`); }
+        for (const name of names) {
+            if (!hidden && name.startsWith(".")) continue;
+            const absolute = path.join(folder, name);
+            let stats;
+            try { stats = fs.statSync(absolute); }
+            catch (e) { continue; } // A broken link, or a file deleted since we read the folder
+            if (stats.isDirectory()) {
+                const relative = relativePath(directory, absolute);
+                if (!excludes.some(glob => glob.test(relative) || glob.test(`${relative}/`))) readFolder(absolute);
+            }
+            else if (stats.isFile()) visit(absolute, stats);
+        }
+    };
+    readFolder(directory);
+}
 
-    const validFileExtensions = [".jpg", ".jpeg", ".png", ".gif", ".bmp",
-        ".tiff", ".tif", ".webp", ".svg", ".psd", ".ai", ".eps", ".svg",
-        ".ppm", ".pgm", ".pbm", ".pnm", ".pam", ".pfm", ".pcx", ".xwd"];
+// The scan index remembers the size, modification time and sha256 of the files hashed by earlier scans, so a
+// rescan only hashes the files that are new or changed. It is kept in the --out folder.
+const readScanIndex = file => {
+    try { return new Map(Object.entries(JSON.parse(fs.readFileSync(file, "utf8")).files)); }
+    catch (e) { return new Map(); }
+}
 
-    const deduper = (acc, curr) => {
-        const fileSize = fs.statSync(curr).size;
-        const sha256 = sha256File(curr);
-        if (fileSize === 0) return acc;
-        const entry = {
-            fullname: curr,
-            filename: path.basename(curr),
-            originalSize: fileSize,
-            originalsha256: sha256
-        };
-        const existing = acc.find(e => e.originalSize === fileSize && e.originalsha256 === sha256);
-        if (existing) return acc;
-        acc.push(entry);
-        return acc;
+const writeScanIndex = (file, index) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: 1, files: Object.fromEntries(index) }));
+}
+
+// The sha256 of a file found by a scan, from the index if the file hasn't changed since it was hashed
+const indexedHash = (index, file) => {
+    const known = index.get(file.fullname);
+    if (known && known[0] === file.originalSize && known[1] === file.mtime) return known[2];
+    const sha256 = sha256File(file.fullname);
+    index.set(file.fullname, [file.originalSize, file.mtime, sha256]);
+    return sha256;
+}
+
+// The PPM index remembers how every image of the testbed was normalized (the PPM file, and what gm said about the
+// image, to apply the policy again), and the statistics of every PPM file with its size and modification time.
+// So the next runs only convert and read the new images, or the PPM files that changed. It is kept in the --out folder.
+const readPPMIndex = file => {
+    try {
+        const { conversions, statistics } = JSON.parse(fs.readFileSync(file, "utf8"));
+        return { conversions: new Map(Object.entries(conversions)), statistics: new Map(Object.entries(statistics)) };
     }
+    catch (e) { return { conversions: new Map(), statistics: new Map() }; }
+}
 
-    const validFiles = files.filter(file =>
-        validFileExtensions.includes(path.extname(file).toLowerCase()))
-        .reduce(deduper, []);
+// PPM files that are gone (e.g. tmp/ was cleaned) are forgotten
+const writePPMIndex = (file, ppmFolder, { conversions, statistics }) => {
+    const present = ppm => fs.existsSync(path.join(ppmFolder, ppm));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        version: 1,
+        conversions: Object.fromEntries([...conversions].filter(([, conversion]) => present(conversion.ppm))),
+        statistics: Object.fromEntries([...statistics].filter(([ppm]) => present(ppm)))
+    }));
+}
 
-    return validFiles;
+// Small seeded random number generator (mulberry32), so samples and generated images can be reproduced
+const seededRandom = seed => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
-// Copy the images to our img folder and delete the fullname property
-const toTestbed = files => {
-    // Copy the images to the img folder. Try to make a hardlink first, if that fails, copy the file.
-    for (const image of files) {
-        const newFile = path.join(imgFolder, image.filename);
-        try { fs.linkSync(image.fullname, newFile); }
-        catch (e) { fs.copyFileSync(image.fullname, newFile); }
-        // Delete the fullname property; we only needed to copy the file
-        delete image.fullname;
+// Keep only the first `limit` files, or a random sample of `sample` files
+const pickFiles = (files, { limit, sample, seed = 1 } = {}) => {
+    if (sample && sample < files.length) {
+        // Partial Fisher-Yates shuffle
+        const random = seededRandom(seed);
+        const picked = [...files];
+        for (let i = 0; i < sample; i++) {
+            const j = i + Math.floor(random() * (picked.length - i));
+            [picked[i], picked[j]] = [picked[j], picked[i]];
+        }
+        return picked.slice(0, sample);
     }
-    return files;
+    return limit ? files.slice(0, limit) : files;
 }
 
+// The images of a folder: filtered by the include/exclude globs (matched against the path relative to the folder,
+// with forward slashes), without empty files and duplicates, and limited or sampled.
+// Two files can only be the same if they have the same size, so only the files sharing their size with another
+// one are hashed to find the duplicates; those keep their originalsha256. The other files are only hashed when
+// they go to the testbed (see toTestbed), so a scan alone reads no more than it has to.
+const scanFolder = (directory, selection = {}) => {
+    directory = path.resolve(directory);
+    const includes = (selection.include || []).map(globToRegExp);
+    const excludes = (selection.exclude || []).map(globToRegExp);
+    const index = selection.index ? readScanIndex(selection.index) : new Map();
 
-const normalizeToPPM = files => {
+    const found = [];
+    const sameSize = new Map(); // Number of files of every size
+    walk(directory, { hidden: selection.hidden, excludes }, (file, stats) => {
+        if (!validFileExtensions.has(path.extname(file).toLowerCase()) || stats.size === 0) return;
+        const relative = relativePath(directory, file);
+        if (includes.length && !includes.some(glob => glob.test(relative))) return;
+        if (excludes.some(glob => glob.test(relative))) return;
+        found.push({ fullname: file, filename: relative, originalSize: stats.size, mtime: stats.mtimeMs });
+        sameSize.set(stats.size, (sameSize.get(stats.size) || 0) + 1);
+    });
+
+    const seen = new Set();
+    const unique = found.filter(file => {
+        if (sameSize.get(file.originalSize) === 1) return true;
+        file.originalsha256 = indexedHash(index, file);
+        if (seen.has(file.originalsha256)) return false;
+        seen.add(file.originalsha256);
+        return true;
+    });
 
-    const convert = file => {
-        const ppmFile = path.join(ppmTempFolder, path.basename(file) + ".ppm");
-        // Convert the image to a PPM file
-        gm(file).write(ppmFile, (err) => {
-            /* if (err) console.log(`Error: ${err.message}`);
-            else console.log(`${file} converted to PPM.`); */
+    const picked = pickFiles(unique, selection);
+
+    if (selection.index) {
+        // Forget the files of this folder that are gone. Those skipped by this scan are kept for the next one.
+        const prefix = directory + path.sep;
+        const present = new Set(found.map(file => file.fullname));
+        [...index.keys()].forEach(file => {
+            if (file.startsWith(prefix) && !present.has(file) && !fs.existsSync(file)) index.delete(file);
         });
+        writeScanIndex(selection.index, index);
+    }
+    return picked;
+}
+
+// Copy the images of a scan to our img folder, named after the sha256 of their content so that images with the
+// same name in different folders don't collide. The files the scan didn't hash are hashed here, with the help of
+// the scan index. Returns the images without their full name: we only needed it to copy the file.
+const toTestbed = (files, imgFolder, indexFile) => {
+    fs.mkdirSync(imgFolder, { recursive: true });
+    const index = indexFile ? readScanIndex(indexFile) : new Map();
+    const images = files.map(file => {
+        const sha256 = file.originalsha256 || indexedHash(index, file);
+        const image = {
+            filename: file.filename, // Where the image comes from
+            testbedFile: sha256 + path.extname(file.fullname).toLowerCase(), // Its name in the testbed
+            originalSize: file.originalSize,
+            originalsha256: sha256
+        };
+        // Try to make a hardlink first, if that fails, copy the file.
+        // A file that is already there has the same content, since it has the same name.
+        const newFile = path.join(imgFolder, image.testbedFile);
+        if (!fs.existsSync(newFile)) {
+            try { fs.linkSync(file.fullname, newFile); }
+            catch (e) { fs.copyFileSync(file.fullname, newFile); }
+        }
+        return image;
+    });
+    if (indexFile) writeScanIndex(indexFile, index);
+    return images;
+}
+
+
+// What to do with images that don't fit in an 8 bit PPM/PGM
+const defaultPolicy = {
+    alpha: "drop",   // "drop" the alpha channel, or "skip" the image
+    frames: "first", // keep the "first" frame of animations and multi-page files, or "skip" them
+    deep: "reduce"   // "reduce" 16 bit images to 8 bits, "keep" them as 16 bit PPMs, or "skip" them
+};
+
+// Ask gm what kind of image this is: format, bit depth, alpha channel, colour space and number of frames
+const identify = file => new Promise((resolve, reject) => {
+    gm(file).identify("%m|%z|%A|%r\n", (err, output) => {
+        if (err) return reject(err);
+        // Animations and multi-page files print one line per frame
+        const frames = output.split("\n").filter(line => line.trim());
+        const [format, depth, alpha, type] = frames[0].split("|");
+        resolve({
+            format,
+            depth: parseInt(depth),
+            hasAlpha: /true|blend/i.test(alpha),
+            isGrey: /gr[ae]y/i.test(type),
+            frames: frames.length
+        });
+    });
+});
+
+// Binary, 8 bit PPM/PGM files can be used as they are, without going through gm. So can 16 bit ones when the
+// policy keeps them: gm would write the same samples again.
+const isUsableNetpbm = (file, policy) => {
+    try {
+        const { magic, maxval } = readHeader(file);
+        return (magic === "P5" || magic === "P6") && (maxval <= 255 || policy.deep === "keep");
+    }
+    catch (e) { return false; }
+}
+
+// Why the policy skips an image gm identified, if it does
+const skipReason = (info, policy) => {
+    if (info.hasAlpha && policy.alpha === "skip") return "has an alpha channel";
+    if (info.frames > 1 && policy.frames === "skip") return `has ${info.frames} frames`;
+    if (info.depth > 8 && policy.deep === "skip") return `is ${info.depth} bits per sample`;
+    return null;
+}
+
+// Convert every image to PPM (or PGM for greyscale images), running as many conversions at the same time as the
+// scheduler allows. Images that can't be converted, or that the policy skips, get a normalizeError instead of a ppmFile.
+// Images the index says were already converted with the same --deep are not converted again; the PPM files of
+// 16 bit images kept as they are have a name of their own, since they differ from the reduced ones.
+const normalizeToPPM = async (files, scheduler, policy, paths, index) => {
+    fs.mkdirSync(paths.ppm, { recursive: true });
+
+    const convert = async (file, ppmBase) => {
+        const info = await identify(file);
+        const reason = skipReason(info, policy);
+        if (reason) throw new Error(reason);
+
+        const deep = info.depth > 8 && policy.deep === "keep";
+        const ppmFile = ppmBase + (deep ? ".16bit" : "") + (info.isGrey ? ".pgm" : ".ppm");
+        // The first frame only, without alpha channel
+        let image = gm(`${file}[0]`).out("+matte");
+        if (info.depth > 8) image = image.bitdepth(deep ? 16 : 8);
+        await new Promise((resolve, reject) => image.write(ppmFile, err => err ? reject(err) : resolve()));
+        return { ppmFile, info };
     }
 
     const progressBarOptions = {
@@ -87,44 +298,105 @@ const normalizeToPPM = files => {
     }
     const bar = progressBar(progressBarOptions)
 
-    files.forEach(file => {
-        bar.tick("")
-        const currentFile = path.join(imgFolder, file.filename);
-        if (path.extname(file.filename).toLowerCase() === ".ppm") {
-            // copy to the ppm folder
-            const newFile = path.join(ppmTempFolder, file.filename.ppm);
-            fs.copyFileSync(currentFile, newFile);
+    await scheduler.map(files, async file => {
+        const currentFile = path.join(paths.img, file.testbedFile);
+        const ppmBase = path.join(paths.ppm, file.originalsha256);
+        const key = `${file.originalsha256} ${policy.deep}`;
+        const known = index.conversions.get(key);
+        try {
+            if (known && fs.existsSync(path.join(paths.ppm, known.ppm))) {
+                // Netpbm files that were copied have no info: the policy doesn't skip them
+                const reason = known.info && skipReason(known.info, policy);
+                if (reason) throw new Error(reason);
+                file.ppmFile = path.join(paths.ppm, known.ppm);
+            }
+            else if (isUsableNetpbm(currentFile, policy)) {
+                // copy to the ppm folder, if it is all there
+                const header = readHeader(currentFile);
+                if (fs.statSync(currentFile).size < header.headerLength + dataLength(header)) throw new Error("is truncated");
+                file.ppmFile = ppmBase + (header.maxval > 255 ? ".16bit" : "") + (header.channels === 1 ? ".pgm" : ".ppm");
+                fs.copyFileSync(currentFile, file.ppmFile);
+                index.conversions.set(key, { ppm: path.basename(file.ppmFile), info: null });
+            }
+            else {
+                const { ppmFile, info } = await convert(currentFile, ppmBase);
+                file.ppmFile = ppmFile;
+                index.conversions.set(key, { ppm: path.basename(ppmFile), info });
+            }
         }
-        else convert(currentFile);
+        catch (err) {
+            // gm errors come with the whole stderr of the command; the first line is enough
+            file.normalizeError = err.message.trim().split("\n")[0];
+        }
+        bar.tick("")
     });
+
+    const failed = files.filter(file => file.normalizeError);
+    if (failed.length) console.log(`\n${failed.length} image(s) couldn't be converted to PPM and won't be benchmarked.`);
     return files;
 }
 
-const getPPMStatistics = files => {
+// Images whose PPM can't be read (e.g. a truncated file) get a normalizeError instead of a ppmFile, like the
+// images that couldn't be converted. The statistics of PPM files that haven't changed come from the index.
+const getPPMStatistics = (files, index) => {
     const output = files.map(file => {
-        const ppmFile = path.join(ppmTempFolder, file.filename + ".ppm");
-        const stats = fs.statSync(ppmFile);
-        return {
-            ...file,
-            ppmFile,
-            ppmSize: stats.size,
-            ppmsha256: sha256File(ppmFile)
+        if (!file.ppmFile) return file;
+        const ppmFile = file.ppmFile;
+        try {
+            const stats = fs.statSync(ppmFile);
+            const known = index.statistics.get(path.basename(ppmFile));
+            let figures = known && known[0] === stats.size && known[1] === stats.mtimeMs ? known[2] : null;
+            if (!figures) {
+                const { width, height, channels, maxval } = readHeader(ppmFile);
+                figures = { ppmsha256: sha256File(ppmFile), width, height, channels, maxval, ...pixelStatistics(ppmFile) };
+                index.statistics.set(path.basename(ppmFile), [stats.size, stats.mtimeMs, figures]);
+            }
+            return {
+                ...file,
+                ppmFile,
+                ppmSize: stats.size,
+                ...figures
+            }
+        }
+        catch (err) {
+            const { ppmFile, ...rest } = file;
+            return { ...rest, normalizeError: err.message.replace(`${ppmFile} `, "") };
         }
     });
     return output;
 }
 
-const getAllFiles = directory => getPPMStatistics(
-    normalizeToPPM(
-        toTestbed(
-            cleanList(
-                traverse(directory)
-            )
-        )
-    )
-);
+// Every image of the folder, normalized to PPM. Images that couldn't be normalized have a normalizeError.
+const getAllFiles = async (directory, {
+    scheduler = createScheduler(),
+    policy = defaultPolicy,
+    paths = outputPaths(),
+    selection = {}
+} = {}) => {
+    const index = readPPMIndex(paths.ppmIndex);
+    const files = getPPMStatistics(
+        await normalizeToPPM(
+            toTestbed(
+                scanFolder(directory, { ...selection, index: paths.index }),
+                paths.img,
+                paths.index
+            ),
+            scheduler,
+            policy,
+            paths,
+            index
+        ),
+        index
+    );
+    writePPMIndex(paths.ppmIndex, paths.ppm, index);
+    return files;
+}
 
 
 module.exports = {
-    getAllFiles
+    getAllFiles,
+    scanFolder,
+    outputPaths,
+    seededRandom,
+    defaultPolicy
 }
@@ -0,0 +1,126 @@
+const path = require("path");
+const fs = require("fs");
+
+const sha256File = require('sha256-file'); // https://www.npmjs.com/package/sha256-file
+const { readHeader, pixelStatistics } = require("./netpbm.js");
+
+
+// Sides of the square tiles the images are cropped to, in pixels
+const defaultTiles = [64, 256, 1024];
+
+// Read a whole PPM/PGM image in memory: its header and its samples
+const readImage = file => {
+    const header = readHeader(file);
+    const pixelSize = header.channels * (header.maxval > 255 ? 2 : 1);
+    const length = header.width * header.height * pixelSize;
+    const data = fs.readFileSync(file).subarray(header.headerLength, header.headerLength + length);
+    if (data.length < length) throw new Error(`${file} is truncated`);
+    return { width: header.width, height: header.height, channels: header.channels, maxval: header.maxval, pixelSize, data };
+}
+
+const writeImage = (file, { width, height, channels, maxval, data }) =>
+    fs.writeFileSync(file, Buffer.concat([Buffer.from(`${channels === 1 ? "P5" : "P6"}\n${width} ${height}\n${maxval}\n`), data]));
+
+// A new image of the given size, where every pixel (x, y) is the pixel of the source given by sourceOf(x, y)
+const remap = (image, width, height, sourceOf) => {
+    const { pixelSize, data } = image;
+    const out = Buffer.alloc(width * height * pixelSize);
+    let offset = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const source = sourceOf(x, y) * pixelSize;
+            for (let byte = 0; byte < pixelSize; byte++) out[offset++] = data[source + byte];
+        }
+    }
+    return { ...image, width, height, data: out };
+}
+
+// Swap the first and the third sample of every pixel
+const swapChannels = image => {
+    const sampleSize = image.pixelSize / 3;
+    const out = Buffer.from(image.data);
+    for (let offset = 0; offset < out.length; offset += image.pixelSize) {
+        image.data.copy(out, offset, offset + 2 * sampleSize, offset + 3 * sampleSize);
+        image.data.copy(out, offset + 2 * sampleSize, offset, offset + sampleSize);
+    }
+    return { ...image, data: out };
+}
+
+// Repeat the grey sample of every pixel in the three channels of a PPM
+const greyToRgb = image => {
+    const sampleSize = image.pixelSize;
+    const out = Buffer.alloc(image.data.length * 3);
+    for (let offset = 0; offset < image.data.length; offset += sampleSize) {
+        for (let channel = 0; channel < 3; channel++) image.data.copy(out, offset * 3 + channel * sampleSize, offset, offset + sampleSize);
+    }
+    return { ...image, channels: 3, pixelSize: sampleSize * 3, data: out };
+}
+
+// The lossless transforms, and the images they apply to (the image is an entry of the report or an image read
+// in memory: both have a width, a height and a number of channels). Rotations are clockwise.
+const transforms = {
+    rot90: { make: image => remap(image, image.height, image.width, (x, y) => (image.height - 1 - x) * image.width + y) },
+    rot180: { make: image => remap(image, image.width, image.height, (x, y) => (image.height - 1 - y) * image.width + image.width - 1 - x) },
+    rot270: { make: image => remap(image, image.height, image.width, (x, y) => x * image.width + image.width - 1 - y) },
+    flip: { make: image => remap(image, image.width, image.height, (x, y) => y * image.width + image.width - 1 - x) },
+    bgr: { appliesTo: image => image.channels === 3, make: swapChannels },
+    "grey-rgb": { appliesTo: image => image.channels === 1, make: greyToRgb }
+};
+
+// The centre of the image, cropped to a tile of tile x tile pixels. Images that fit in the tile aren't cropped.
+const crop = tile => ({
+    appliesTo: image => image.width > tile || image.height > tile,
+    make: image => {
+        const [width, height] = [Math.min(image.width, tile), Math.min(image.height, tile)];
+        const [left, top] = [Math.floor((image.width - width) / 2), Math.floor((image.height - height) / 2)];
+        return remap(image, width, height, (x, y) => (top + y) * image.width + left + x);
+    }
+});
+
+const variantNames = [...Object.keys(transforms), "crop"];
+
+// Create the variants of a normalized image (an entry of getPPMStatistics) in the folder, and return their entries.
+// A variant is an image of its own, with its PPM and its statistics; "variant" says which one it is and
+// "variantOf" is the ppmsha256 of the image it comes from. Variants identical to the image, or to another variant,
+// are left out. The files are named after the image and the variant, so they are only made once.
+const createVariants = (file, names, { tiles = defaultTiles, folder }) => {
+    fs.mkdirSync(folder, { recursive: true });
+    const wanted = names.flatMap(name => name === "crop" ? tiles.map(tile => [`crop${tile}`, crop(tile)]) : [[name, transforms[name]]])
+        .filter(([, transform]) => !transform.appliesTo || transform.appliesTo(file));
+    let image = null; // Read once, and only if a variant has to be made
+    const seen = new Set([file.ppmsha256]);
+    const variants = [];
+    for (const [name, transform] of wanted) {
+        const grey = file.channels === 1 && name !== "grey-rgb";
+        const ppmFile = path.join(folder, `${file.ppmsha256}.${name}${grey ? ".pgm" : ".ppm"}`);
+        if (!fs.existsSync(ppmFile)) {
+            image = image || readImage(file.ppmFile);
+            writeImage(ppmFile, transform.make(image));
+        }
+        const ppmsha256 = sha256File(ppmFile);
+        if (seen.has(ppmsha256)) continue;
+        seen.add(ppmsha256);
+        const { width, height, channels, maxval } = readHeader(ppmFile);
+        variants.push({
+            ...file,
+            variant: name,
+            variantOf: file.ppmsha256,
+            ppmFile,
+            ppmSize: fs.statSync(ppmFile).size,
+            ppmsha256,
+            width,
+            height,
+            channels,
+            maxval,
+            ...pixelStatistics(ppmFile)
+        });
+    }
+    return variants;
+}
+
+
+module.exports = {
+    variantNames,
+    defaultTiles,
+    createVariants
+}
@@ -0,0 +1,69 @@
+const path = require("path");
+const fs = require("fs");
+
+const { readHeader, locateOffset } = require("./netpbm.js");
+
+
+const chunkSize = 1 << 20;
+
+// Find the first byte where two files differ. Returns -1 if they are identical.
+// Both files are read in chunks, so big images don't need to fit in memory twice.
+const firstDifference = (expected, actual) => {
+    const fdA = fs.openSync(expected, "r");
+    const fdB = fs.openSync(actual, "r");
+    try {
+        const bufA = Buffer.alloc(chunkSize);
+        const bufB = Buffer.alloc(chunkSize);
+        let position = 0;
+        while (true) {
+            const readA = fs.readSync(fdA, bufA, 0, chunkSize, position);
+            const readB = fs.readSync(fdB, bufB, 0, chunkSize, position);
+            const common = Math.min(readA, readB);
+            for (let i = 0; i < common; i++)
+                if (bufA[i] !== bufB[i]) return position + i;
+            // One of the files is shorter than the other
+            if (readA !== readB) return position + common;
+            if (readA === 0) return -1;
+            position += readA;
+        }
+    }
+    finally {
+        fs.closeSync(fdA);
+        fs.closeSync(fdB);
+    }
+}
+
+// Describe where the restored file first differs from the PPM, in bytes and in pixels
+const describeMismatch = (ppmFile, restoredFile) => {
+    if (!fs.existsSync(restoredFile)) return { reason: "missing output" };
+    const offset = firstDifference(ppmFile, restoredFile);
+    const mismatch = {
+        reason: "content differs",
+        offset,
+        expectedSize: fs.statSync(ppmFile).size,
+        restoredSize: fs.statSync(restoredFile).size
+    };
+    if (offset >= Math.min(mismatch.expectedSize, mismatch.restoredSize)) mismatch.reason = "size differs";
+    try { Object.assign(mismatch, locateOffset(readHeader(ppmFile), offset)); }
+    catch (e) { /* Not a PPM we can read; the byte offset will have to do */ }
+    return mismatch;
+}
+
+// Keep the input, the compressed file and the bad output in the quarantine folder, so the failure can be reproduced.
+// The folder is named after the id of the image (the sha256 of the original); source.txt says where it comes from.
+const quarantine = (quarantineFolder, codecName, files) => {
+    const folder = path.join(quarantineFolder, codecName, files.id);
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, "source.txt"), `${files.filename}\n`);
+    for (const file of [files.input, files.compressed, files.restored]) {
+        if (file && fs.existsSync(file)) fs.copyFileSync(file, path.join(folder, path.basename(file)));
+    }
+    return folder;
+}
+
+
+module.exports = {
+    firstDifference,
+    describeMismatch,
+    quarantine
+}
@@ -0,0 +1,112 @@
+/*
+The watch command keeps benchmarking a corpus as it grows. Every --interval seconds it looks for:
+    - new images in the corpus folder (or changed ones)
+    - new Lea builds: a folder in bin/ (next to the registry) with clea.exe and dlea.exe that no codec of the
+      registry runs yet. It is added to the registry, named after the folder (bin/v0.6/ is codec "0.6"): the
+      registry file (codecs.json by default, which is under version control) is rewritten. Point --registry to a
+      copy to keep it as it is. Builds are run under wine: while wine isn't there, they are left out with a warning
+    - rebuilt codecs: the binaries of a codec of the registry changed
+Once the files stop changing (they are the same on two looks in a row, so copies are over), it runs a benchmark.
+Results of the images and codecs that haven't changed are reused from the report, so only the new combinations
+are benchmarked; the report and its summary (results.json) are updated in place. Then it prints how the newest
+codec (the last one of the registry) does against the best of the others, the one with the fewest bits per pixel.
+
+Usage: node index.js watch [folder] [--interval=30] [--threshold=1] [bench options]
+Stop it with Ctrl+C.
+ */
+
+const fs = require("fs")
+const path = require("path")
+
+const { bench, codecsFor } = require("./bench.js")
+const { findNewBuilds, addCodecs, codecHash } = require("./codecs.js")
+const { missingRunners, resolveRunner } = require("./runner.js")
+const { scanFolder, outputPaths } = require("./utils.js")
+const { readReport } = require("./report.js")
+const { compareReports, printShortComparison } = require("./compare.js")
+const { UsageError } = require("./cli.js")
+
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// New builds whose runner is missing, by folder, so the warning is only given once
+const warned = new Set()
+
+// The new builds that can run here. Their runner is checked on every look, so they come in once it is installed.
+const runnableBuilds = registry => {
+    const cwd = path.dirname(path.resolve(registry))
+    return findNewBuilds(registry).filter(({ folder, codec }) => {
+        const missing = missingRunners([{ ...codec, runner: resolveRunner(codec), cwd }])
+        if (!missing.length) return true
+        if (!warned.has(folder)) console.log(`Warning: leaving out the new build in ${folder}: ${missing[0].program} is not in my path.`)
+        warned.add(folder)
+        return false
+    })
+}
+
+// What a benchmark would work on right now: the images of the corpus, the binaries of the codecs, and the new
+// builds. Images and the binaries of new builds are told apart by their size and date: they change while a file
+// is being copied, and hashing every image on every look would read the whole corpus again and again.
+const lookAround = options => {
+    const paths = outputPaths(path.resolve(options.out))
+    const images = scanFolder(options.folder, { ...options, index: paths.index }).map(file => `${file.filename} ${file.originalSize} ${file.mtime}`)
+    const codecs = codecsFor(options).map(codec => `${codec.name} ${codecHash(codec)}`)
+    const builds = runnableBuilds(options.registry)
+    const binaries = builds.map(({ folder }) => ["clea.exe", "dlea.exe"].map(file => {
+        const stats = fs.statSync(path.join(folder, file))
+        return `${folder} ${file} ${stats.size} ${stats.mtimeMs}`
+    }))
+    return { builds, key: JSON.stringify({ images, codecs, binaries }) }
+}
+
+// How the newest codec of the report does against the best of the others
+const printProgress = (reportFile, threshold) => {
+    const report = readReport(reportFile)
+    const newest = report.codecs[report.codecs.length - 1]
+    const figures = report.summary.overall.codecs
+    const best = report.codecs.slice(0, -1).filter(name => figures[name].bpp !== null)
+        .sort((a, b) => figures[a].bpp - figures[b].bpp)[0]
+    if (!best) return
+    console.log()
+    printShortComparison(compareReports(report, report, { codec: newest, baselineCodec: best, threshold })[0], threshold)
+}
+
+const watch = async options => {
+    const paths = outputPaths(path.resolve(options.out))
+    let force = options.force // Only for the first benchmark
+    let benchmarked = null // What the last benchmark worked on
+    let previous = lookAround(options).key // What the last look found; the files there at the start are complete
+    console.log(`Watching ${options.folder} and ${path.join(path.dirname(path.resolve(options.registry)), "bin")} every ${options.interval} s. Stop with Ctrl+C.`)
+
+    while (true) {
+        try {
+            const current = lookAround(options)
+            if (current.key !== benchmarked && current.key === previous) {
+                if (current.builds.length) {
+                    const added = current.builds.map(build => build.codec)
+                    addCodecs(options.registry, added)
+                    added.forEach(codec => console.log(`New build in ${codec.compress.split("/").slice(0, 2).join("/")}: added codec ${codec.name} to ${options.registry} (rewritten)`))
+                    // A selection of codecs (--codecs) takes the new ones in too
+                    if (options.codecs && options.codecs.length) options.codecs = [...options.codecs, ...added.map(codec => codec.name)]
+                }
+                benchmarked = lookAround(options).key
+                await bench({ ...options, force })
+                force = []
+                printProgress(paths.report, options.threshold)
+                console.log(`\n${new Date().toLocaleTimeString()}: waiting for new images or builds...`)
+            }
+            previous = current.key
+        }
+        catch (err) {
+            // Bad options won't get any better; anything else (a file being copied, a codec failing...) might
+            if (err instanceof UsageError) throw err
+            console.log(`Error: ${err.message}`)
+        }
+        await sleep(options.interval * 1000)
+    }
+}
+
+
+module.exports = {
+    watch
+}